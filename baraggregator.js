@@ -0,0 +1,364 @@
+'use strict';
+
+let EventEmitter = require('events');
+let ZenithError = require('./error.js');
+let TradeTape = require('./tradetape.js');
+
+/// Length of each unit an interval can be given in, in milliseconds.
+const UNITS = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+};
+
+/// Trades with times before this are taken to have no time at all.
+/**
+ * Zenith sometimes sends "0001-01-01T00:00:00+00:00" as a trade's time.
+ */
+const EARLIEST_TIME = Date.UTC(1900, 0, 1);
+
+/// OHLCV bars built from a Trades subscription.
+/**
+ * Takes the same trade operations as TradeTape, and groups the trades into
+ * bars of a fixed interval, e.g. '1s', '1m', '5m' or '1h', or 'daily' for one
+ * bar per trading day.  Bars start on whole multiples of the interval since
+ * 1970 (UTC), except daily bars which start at midnight in the time zone
+ * given.  Only intervals with at least one trade get a bar.
+ *
+ * Each bar has these members:
+ *  - start, end: Dates the bar covers, start <= Time < end.
+ *  - open, high, low, close: Prices of the earliest, highest, lowest and
+ *      latest trades.
+ *  - volume: Total quantity traded.
+ *  - value: Total of price * quantity.
+ *  - count: Number of trades.
+ *  - closed: true once the bar is complete.
+ *
+ * A bar closes when a trade arrives for a later bar, when flush() is called,
+ * or if the closeDelay option is set, that long after the bar's end time.
+ *
+ * Trades arriving out of order are added to the bar they belong in, and 'U'
+ * operations (corrections) replace the earlier trade, both of which can
+ * change a bar that has already closed.  A trade corrected to have no price
+ * or a zero quantity, e.g. because it was cancelled, is taken out of its bar.
+ * Trades without a time, or with the odd 0001-01-01 time Zenith sometimes
+ * sends, are put in the latest bar.
+ *
+ * Events:
+ *  - 'barClosed' (bar): A bar is complete.
+ *  - 'barUpdated' (bar): A bar has changed.  bar.closed is true if it had
+ *      already closed, e.g. because of a late or corrected trade, in which
+ *      case a bar with no trades left has a count of 0.
+ *  - 'reset' (op): All bars were discarded.  op is 'I' or 'C'.
+ */
+class BarAggregator extends EventEmitter
+{
+	/**
+	 * @param mixed interval
+	 *   Length of each bar, as a Number of milliseconds, a string such as
+	 *   '1s', '1m', '5m' or '1h', or 'daily' (or '1d').
+	 *
+	 * @param object options
+	 *   Optional, with members:
+	 *    - Number maxBars: Most bars to keep.  Default 1000.
+	 *    - Number closeDelay: Milliseconds after a bar's end time (by the
+	 *      local clock) to close it, even if no later trades have arrived.
+	 *      Leave out when not receiving trades in real time, e.g. when
+	 *      replaying.
+	 *    - string timeZone: IANA time zone for daily bars.  Default
+	 *      'Australia/Sydney'.
+	 *
+	 * @throw ZenithError with code BADINTERVAL if the interval is not understood.
+	 */
+	constructor(market, symbol, interval = '1m', options = {}) {
+		super();
+		this.market = market;
+		this.symbol = symbol;
+		this.interval = interval;
+		this.length = BarAggregator.parseInterval(interval); // ms, or 0 for daily
+		this.maxBars = options.maxBars || 1000;
+		this.closeDelay = options.closeDelay;
+		this.timeZone = options.timeZone || 'Australia/Sydney';
+		if (!this.length) {
+			this.dateFormat = new Intl.DateTimeFormat('en-US', {
+				timeZone: this.timeZone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: 'numeric',
+				day: 'numeric',
+				hour: 'numeric',
+				minute: 'numeric',
+				second: 'numeric',
+			});
+		}
+		this.timer = undefined;
+		this.reset();
+	}
+
+	/// Work out the length of an interval.
+	/**
+	 * @return Number of milliseconds, or 0 for daily.
+	 *
+	 * @throw ZenithError with code BADINTERVAL if the interval is not understood.
+	 */
+	static parseInterval(interval) {
+		if ((typeof interval == 'number') && (interval > 0)) return interval;
+		if ((interval == 'daily') || (interval == '1d')) return 0;
+		let match = /^(\d+)([smh])$/.exec(interval);
+		if (!match || (match[1] == 0)) {
+			throw new ZenithError('BADINTERVAL', 'Unknown bar interval: ' + interval);
+		}
+		return match[1] * UNITS[match[2]];
+	}
+
+	/// Discard all bars.
+	/*private*/ reset() {
+		this.slots = []; // { bar, trades: Map of ID -> { trade, time } }, oldest first
+		this.tradeSlots = new Map(); // trade ID -> slot
+		if (this.timer) clearTimeout(this.timer);
+		this.timer = undefined;
+	}
+
+	/// Apply operations received from the server.
+	/**
+	 * @param Array ops
+	 *   Trade operations as sent by the server.  A single operation object is
+	 *   also accepted.
+	 */
+	apply(ops) {
+		if (!ops) return;
+		if (!(ops instanceof Array)) ops = [ops];
+		ops.forEach(d => {
+			switch (d.O) {
+				case 'I':
+				case 'C':
+					this.reset();
+					this.emit('reset', d.O);
+					break;
+				case 'A':
+					if (!d.Trade) break;
+					this.add(d.Trade);
+					break;
+				case 'U':
+					if (!d.Trade) break;
+					this.update(d.Trade);
+					break;
+				default:
+					// Unknown operation, ignore it
+					break;
+			}
+		});
+	}
+
+	/// All bars kept, oldest first.  The last may still be open.
+	bars() {
+		return this.slots.map(slot => slot.bar);
+	}
+
+	/// Latest bar, if it is still open.
+	current() {
+		let slot = this.slots[this.slots.length - 1];
+		if (!slot || slot.bar.closed) return undefined;
+		return slot.bar;
+	}
+
+	/// Close any open bars, e.g. at the end of a session or a replay.
+	flush() {
+		this.closeBefore(Infinity);
+	}
+
+	/// Stop the closeDelay timer.
+	stop() {
+		if (this.timer) clearTimeout(this.timer);
+		this.timer = undefined;
+	}
+
+	/*private*/ add(trade) {
+		if (this.tradeSlots.has(trade.ID)) {
+			this.update(trade); // sent again, e.g. after reconnecting
+			return;
+		}
+		let time = this.getTime(trade);
+		let slot = this.getSlot(time);
+		if (!slot) return;
+		this.place(slot, trade, time);
+		this.recalculate(slot);
+		this.closeLate();
+	}
+
+	/// Replace an existing trade.
+	/*private*/ update(trade) {
+		let previous = this.tradeSlots.get(trade.ID);
+		let time = this.getTime(trade);
+		if (!previous) {
+			// Too old to still be kept, or never seen
+			if (time !== undefined) this.add(trade);
+			return;
+		}
+		if (time === undefined) {
+			// Corrections don't always repeat the time
+			time = previous.trades.get(trade.ID).time;
+		}
+		previous.trades.delete(trade.ID);
+		this.tradeSlots.delete(trade.ID);
+		let slot = this.getSlot(time);
+		if (slot) this.place(slot, trade, time);
+		if (slot !== previous) this.recalculate(previous);
+		if (slot) this.recalculate(slot);
+		this.closeLate();
+	}
+
+	/// Put a trade in a bar.
+	/**
+	 * @param Number time
+	 *   Trade time in milliseconds, or undefined if not known, in which case
+	 *   the trade is taken to be the latest in the bar.
+	 */
+	/*private*/ place(slot, trade, time) {
+		if (time === undefined) {
+			time = slot.bar.start.getTime();
+			slot.trades.forEach(entry => time = Math.max(time, entry.time));
+		}
+		slot.trades.set(trade.ID, {
+			trade: trade,
+			time: time,
+		});
+		this.tradeSlots.set(trade.ID, slot);
+	}
+
+	/// Get a trade's time in milliseconds.
+	/**
+	 * @return Number, or undefined if the trade has no usable time.
+	 */
+	/*private*/ getTime(trade) {
+		if (!trade.Time) return undefined;
+		let time = new Date(trade.Time).getTime();
+		if (isNaN(time) || (time < EARLIEST_TIME)) return undefined;
+		return time;
+	}
+
+	/// Find or create the bar a trade at this time belongs in.
+	/**
+	 * Creating a new latest bar closes the bars before it.
+	 *
+	 * @param Number time
+	 *   In milliseconds, or undefined for the latest bar.
+	 *
+	 * @return Slot, or undefined if there is nowhere to put the trade.
+	 */
+	/*private*/ getSlot(time) {
+		let last = this.slots[this.slots.length - 1];
+		if (time === undefined) return last;
+
+		let index = this.slots.length;
+		while ((index > 0) && (this.slots[index - 1].bar.start.getTime() > time)) index--;
+		let before = this.slots[index - 1];
+		if (before && (before.bar.end.getTime() > time)) return before;
+
+		let range = this.getRange(time);
+		if ((index == 0) && (this.slots.length >= this.maxBars)) {
+			return undefined; // older than anything kept
+		}
+		let slot = {
+			bar: {
+				start: new Date(range.start),
+				end: new Date(range.end),
+				open: undefined,
+				high: undefined,
+				low: undefined,
+				close: undefined,
+				volume: 0,
+				value: 0,
+				count: 0,
+				closed: false,
+			},
+			trades: new Map(),
+		};
+		this.slots.splice(index, 0, slot);
+		if (index == this.slots.length - 1) {
+			this.closeBefore(range.start);
+			this.setTimer();
+		}
+		while (this.slots.length > this.maxBars) {
+			let old = this.slots.shift();
+			old.trades.forEach((trade, id) => this.tradeSlots.delete(id));
+		}
+		return slot;
+	}
+
+	/// Work out the start and end of the bar containing a time.
+	/*private*/ getRange(time) {
+		if (this.length) {
+			let start = Math.floor(time / this.length) * this.length;
+			return {
+				start: start,
+				end: start + this.length,
+			};
+		}
+		let start = this.getDayStart(time);
+		return {
+			start: start,
+			// Days aren't always 24 hours when daylight saving changes
+			end: this.getDayStart(start + 30 * UNITS.h),
+		};
+	}
+
+	/// Find midnight in this.timeZone on the day of a time.
+	/*private*/ getDayStart(time) {
+		let parts = {};
+		this.dateFormat.formatToParts(new Date(time)).forEach(p => parts[p.type] = Number(p.value));
+		let local = Date.UTC(parts.year, parts.month - 1, parts.day,
+			parts.hour, parts.minute, parts.second);
+		let offset = local - Math.floor(time / 1000) * 1000;
+		return Date.UTC(parts.year, parts.month - 1, parts.day) - offset;
+	}
+
+	/// Work out a bar's prices and totals from its trades.
+	/*private*/ recalculate(slot) {
+		let bar = slot.bar;
+		let trades = Array.from(slot.trades.values())
+			.sort((a, b) => (a.time - b.time) || TradeTape.compareIDs(a.trade.ID, b.trade.ID))
+			.map(entry => entry.trade)
+			.filter(t => (typeof t.Price == 'number') && (t.Quantity > 0));
+		bar.open = trades.length ? trades[0].Price : undefined;
+		bar.close = trades.length ? trades[trades.length - 1].Price : undefined;
+		bar.high = trades.length ? Math.max(...trades.map(t => t.Price)) : undefined;
+		bar.low = trades.length ? Math.min(...trades.map(t => t.Price)) : undefined;
+		bar.volume = trades.reduce((total, t) => total + t.Quantity, 0);
+		bar.value = trades.reduce((total, t) => total + t.Price * t.Quantity, 0);
+		bar.count = trades.length;
+		this.emit('barUpdated', bar);
+	}
+
+	/// Close the open bars that start before a time.
+	/*private*/ closeBefore(time) {
+		this.slots.forEach(slot => {
+			if (slot.bar.closed || (slot.bar.start.getTime() >= time)) return;
+			slot.bar.closed = true;
+			this.emit('barClosed', slot.bar);
+		});
+	}
+
+	/// Close bars created for late trades, once their trades have been added.
+	/*private*/ closeLate() {
+		let last = this.slots[this.slots.length - 1];
+		if (last) this.closeBefore(last.bar.start.getTime());
+	}
+
+	/// Close the latest bar closeDelay after it ends, if that option is set.
+	/*private*/ setTimer() {
+		if (this.closeDelay === undefined) return;
+		let bar = this.current();
+		if (!bar) return;
+		if (this.timer) clearTimeout(this.timer);
+		let wait = bar.end.getTime() + this.closeDelay - Date.now();
+		this.timer = setTimeout(() => {
+			this.timer = undefined;
+			this.closeBefore(bar.end.getTime());
+		}, Math.max(0, wait));
+	}
+};
+
+BarAggregator.UNITS = UNITS;
+
+module.exports = BarAggregator;
@@ -0,0 +1,567 @@
+'use strict';
+
+let EventEmitter = require('events');
+let fs = require('fs');
+let ZenithError = require('./error.js');
+let OrderBuilder = require('./orderbuilder.js');
+
+/// Kinds of condition, and the prices each one needs.
+const TYPES = {
+	stop: ['price'], // when the price moves against the order's side to price
+	trailingStop: ['trail'], // a stop that follows the best price so far
+	takeProfit: ['price'], // when the price moves in the order's favour to price
+};
+
+/// States a condition can be in.
+const STATUSES = [
+	'pending', // watching the price
+	'triggering', // triggered, order being placed
+	'placed', // order placed, see orderID
+	'failed', // order could not be placed, see error
+	'cancelled', // cancelled, or the other half of an OCO pair triggered
+];
+
+/// Whether a price is further in an order's favour than the best price a
+/// trailing stop has seen so far.
+function isBeyondExtreme(condition, price) {
+	if (condition.extreme === undefined) return true;
+	return (condition.order.Details.Side == 'Ask')
+		? (price > condition.extreme) : (price < condition.extreme);
+}
+
+/// Orders placed automatically once the market price reaches a trigger.
+/**
+ * Zenith only accepts the order types in OrderBuilder.TYPES, so stop-loss,
+ * trailing stop and take-profit orders are kept here instead, watching each
+ * security's last price through sub_market_security(), and placing their
+ * order with trading_placeOrder() once triggered (so it goes through any
+ * RiskManager as usual.)
+ *
+ *   let conditions = new ConditionalOrders(zenith, { file: 'conditions.json' });
+ *   conditions.start()
+ *     .then(() => conditions.oco(
+ *       { type: 'stop', price: 9.50, order: sellAtMarket },
+ *       { type: 'takeProfit', price: 11.00, order: sellAtMarket }));
+ *
+ * Which way the price has to move depends on the order's side:
+ *  - 'stop': A sell order triggers when the price falls to price or below, a
+ *      buy order when it rises to price or above.
+ *  - 'trailingStop': As for stop, where the price is trail (or trailPercent
+ *      per cent) below the highest price seen since it was added, for a sell,
+ *      or above the lowest for a buy.
+ *  - 'takeProfit': A sell order triggers when the price rises to price or
+ *      above, a buy order when it falls to price or below.
+ *
+ * Conditions added with oco() share a group, and once one triggers the rest
+ * of the group is cancelled (even if its order then fails.)
+ *
+ * With the file option, every change is written to the file straight away
+ * (apart from trailing stops moving, which are saved after saveDelay), and
+ * start() picks up where the last run left off.  If the file can't be read
+ * or written while running, the conditions carry on in memory, the problem
+ * is reported through the 'error' event, and the file is saved again with
+ * the next change.  Other processes (e.g. tool.js add-condition) can add and
+ * cancel conditions in the same file, which is reloaded when it changes, but
+ * only one should call start().  An order that was being placed when the
+ * last run stopped can't be known to have been placed or not, so its
+ * condition is marked failed rather than risking placing it twice.
+ *
+ * Each condition has these members:
+ *  - id: Identifies the condition, e.g. 'c1'.
+ *  - type: One of ConditionalOrders.TYPES.
+ *  - status: One of ConditionalOrders.STATUSES.
+ *  - order: Order to place, as passed to trading_placeOrder().
+ *  - price, trail, trailPercent: Trigger settings, as passed to add().
+ *  - extreme: Best price seen so far, for a trailing stop.
+ *  - group: ID of the first condition in an OCO pair, if part of one.
+ *  - created, triggered: When it was added and triggered, as ISO 8601 text.
+ *  - triggerPrice: The price that triggered it.
+ *  - orderID: ID of the order placed.
+ *  - error: Why the order could not be placed, or why it was cancelled.
+ *
+ * Events:
+ *  - 'add' (condition): A condition was added.
+ *  - 'trigger' (condition, price): A condition's order is about to be placed.
+ *  - 'placed' (condition, result): The order was placed.  result is the
+ *      server's response.
+ *  - 'failed' (condition, err): The order could not be placed.
+ *  - 'cancel' (condition): A condition was cancelled.
+ *  - 'change' (condition): Anything about a condition has changed, including
+ *      its trailing stop price moving.
+ *  - 'error' (err): The file could not be read or saved.  err is a
+ *      ZenithError with code BADSTATE.  Ignored if nothing is listening.
+ */
+class ConditionalOrders extends EventEmitter
+{
+	/**
+	 * @param ZenithWS zenith
+	 *   Connection to watch prices and place orders through.
+	 *
+	 * @param object options
+	 *   Optional, with members:
+	 *    - string file: JSON file to keep the conditions in.  Default none,
+	 *      so they only last as long as this object.
+	 *    - Number pollInterval: How often to check the file for changes made
+	 *      by other processes, in milliseconds.  Default 2000.
+	 *    - Number saveDelay: How long to wait before saving a trailing stop
+	 *      that has moved, in milliseconds, so that a busy security doesn't
+	 *      mean rewriting the file on every trade.  Default 1000.
+	 */
+	constructor(zenith, options = {}) {
+		super();
+		this.zenith = zenith;
+		this.file = options.file;
+		this.pollInterval = options.pollInterval || 2000;
+		this.saveDelay = options.saveDelay || 1000;
+		this.saveTimer = undefined; // set while trailing stops are waiting to be saved
+		this.conditions = new Map(); // ID -> condition
+		this.lastID = 0;
+		this.watches = new Map(); // 'Code.Exchange' -> subscription promise
+		this.prices = new Map(); // 'Code.Exchange' -> last price
+		this.running = false;
+		this.onFileChange = () => this.reload();
+	}
+
+	/// Load the conditions from the file, and start watching prices.
+	/**
+	 * @return Promise, fulfilled once the prices for every pending condition
+	 *   are being watched.  Rejected with a ZenithError with code BADSTATE if
+	 *   the file can't be read.
+	 */
+	start() {
+		try {
+			this.load();
+		} catch (e) {
+			return Promise.reject(e);
+		}
+		this.running = true;
+		let interrupted = [];
+		this.update(() => {
+			this.conditions.forEach(condition => {
+				if (condition.status != 'triggering') return;
+				condition.status = 'failed';
+				condition.error = 'Stopped while placing the order, check whether it was placed';
+				interrupted.push(condition);
+			});
+		});
+		interrupted.forEach(condition => this.emit('change', condition));
+		if (this.file) {
+			fs.watchFile(this.file, { interval: this.pollInterval }, this.onFileChange);
+		}
+		return this.sync();
+	}
+
+	/// Stop watching prices and the file, saving any trailing stops that have
+	/// moved.
+	stop() {
+		if (this.saveTimer) this.update(() => {});
+		this.running = false;
+		if (this.file) fs.unwatchFile(this.file, this.onFileChange);
+		this.watches.forEach(sub => sub.unsubscribe());
+		this.watches.clear();
+		this.prices.clear();
+	}
+
+	/// Read the conditions from the file, replacing those in memory.
+	/**
+	 * A missing file is not an error, there are just no conditions.
+	 *
+	 * @throw ZenithError with code BADSTATE if the file can't be understood.
+	 */
+	load() {
+		if (!this.file) return;
+		let text;
+		try {
+			text = fs.readFileSync(this.file, 'utf8');
+		} catch (e) {
+			if (e.code == 'ENOENT') return;
+			throw new ZenithError('BADSTATE', 'Unable to read ' + this.file + ': ' + e.message);
+		}
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (e) {
+			throw new ZenithError('BADSTATE', 'Unable to parse ' + this.file + ': ' + e.message);
+		}
+		this.lastID = data.lastID || 0;
+		let conditions = new Map();
+		(data.conditions || []).forEach(condition => {
+			// Keep the same objects, so those already handed out stay up to date
+			let existing = this.conditions.get(condition.id);
+			if (existing) {
+				let extreme = existing.extreme;
+				Object.keys(existing).forEach(key => delete existing[key]);
+				condition = Object.assign(existing, condition);
+				// Trailing stops may have moved since they were last saved
+				if ((extreme !== undefined) && isBeyondExtreme(condition, extreme)) {
+					condition.extreme = extreme;
+				}
+			}
+			conditions.set(condition.id, condition);
+		});
+		this.conditions = conditions;
+	}
+
+	/// List every condition, including those no longer pending.
+	list() {
+		return Array.from(this.conditions.values());
+	}
+
+	/// Get a condition by ID, or undefined if there is no such condition.
+	get(id) {
+		return this.conditions.get(id);
+	}
+
+	/// Add a condition.
+	/**
+	 * @param object spec
+	 *   Has members:
+	 *    - string type: One of ConditionalOrders.TYPES.
+	 *    - mixed order: Order to place once triggered, as passed to
+	 *      trading_placeOrder(), or an OrderBuilder.
+	 *    - Number price: Trigger price, for stop and takeProfit.
+	 *    - Number trail: For trailingStop, how far behind the best price the
+	 *      stop follows.
+	 *    - Number trailPercent: Instead of trail, how far behind the stop
+	 *      follows as a percentage of the best price.
+	 *
+	 * @return Promise, fulfilled with the condition once its price is being
+	 *   watched (or straight away if start() hasn't been called.)  Rejected
+	 *   with a ValidationError with code INVALID_CONDITION if anything is
+	 *   missing or wrong.
+	 */
+	add(spec) {
+		return this.addGroup([spec]).then(conditions => conditions[0]);
+	}
+
+	/// Add two conditions where the first to trigger cancels the other.
+	/**
+	 * @param object first, second
+	 *   Conditions, as passed to add().
+	 *
+	 * @return Promise, fulfilled with both conditions, as for add().
+	 */
+	oco(first, second) {
+		return this.addGroup([first, second]);
+	}
+
+	/// Cancel a pending condition.
+	/**
+	 * @return The condition.
+	 *
+	 * @throw ZenithError with code NOCONDITION if there is no such condition,
+	 *   or NOTPENDING if it has already triggered or been cancelled.
+	 */
+	cancel(id, reason = 'Cancelled') {
+		let condition;
+		this.update(() => {
+			condition = this.conditions.get(id);
+			if (!condition) {
+				throw new ZenithError('NOCONDITION', 'No such condition: ' + id);
+			}
+			if (condition.status != 'pending') {
+				throw new ZenithError('NOTPENDING', 'Condition ' + id + ' is already '
+					+ condition.status);
+			}
+			this.setCancelled(condition, reason);
+		});
+		this.emit('cancel', condition);
+		this.emit('change', condition);
+		this.sync();
+		return condition;
+	}
+
+	/// Price at which a condition triggers, including the current trailing
+	/// stop, or undefined if not known yet.
+	static getTriggerPrice(condition) {
+		if (condition.type != 'trailingStop') return condition.price;
+		if (condition.extreme === undefined) return undefined;
+		let sell = (condition.order.Details.Side == 'Ask');
+		let trail = (condition.trail !== undefined) ? condition.trail
+			: condition.extreme * condition.trailPercent / 100;
+		return sell ? condition.extreme - trail : condition.extreme + trail;
+	}
+
+	/// Add conditions, sharing a group if there is more than one.
+	/*private*/ addGroup(specs) {
+		let conditions;
+		try {
+			conditions = specs.map(spec => this.create(spec));
+		} catch (e) {
+			return Promise.reject(e);
+		}
+		this.update(() => {
+			conditions.forEach(condition => {
+				condition.id = 'c' + (++this.lastID);
+				if (conditions.length > 1) condition.group = conditions[0].id;
+				this.conditions.set(condition.id, condition);
+			});
+		});
+		conditions.forEach(condition => this.emit('add', condition));
+		return this.sync().then(() => {
+			// Already watching, so there may not be another price for a while
+			let symbols = new Set(conditions.map(ConditionalOrders.getSymbol));
+			symbols.forEach(symbol => {
+				if (this.prices.has(symbol)) this.onPrice(symbol, this.prices.get(symbol));
+			});
+			return conditions;
+		});
+	}
+
+	/// Check a condition's details, returning a new pending condition.
+	/*private*/ create(spec) {
+		let errors = [];
+		let order = spec.order;
+		if (order instanceof OrderBuilder) {
+			order = order.build();
+		} else if (order && (typeof order == 'object')) {
+			order = JSON.parse(JSON.stringify(order));
+			OrderBuilder.validate(order);
+		} else {
+			errors.push('Order is required');
+		}
+		let prices = TYPES[spec.type];
+		if (!prices) {
+			errors.push('Type must be one of ' + Object.keys(TYPES).join(', ') + ', got '
+				+ JSON.stringify(spec.type));
+		} else if (spec.type == 'trailingStop') {
+			if (spec.trail !== undefined) {
+				if (!(spec.trail > 0)) errors.push('trail must be a positive number');
+			} else if (!((spec.trailPercent > 0) && (spec.trailPercent < 100))) {
+				errors.push('trail or trailPercent (between 0 and 100) is required');
+			}
+		} else if ((typeof spec.price != 'number') || !(spec.price > 0)) {
+			errors.push('price must be a positive number, got ' + JSON.stringify(spec.price));
+		}
+		if (errors.length) {
+			throw new ZenithError.ValidationError('INVALID_CONDITION',
+				'Invalid condition: ' + errors.join(', '), { errors: errors });
+		}
+		return {
+			id: undefined,
+			type: spec.type,
+			status: 'pending',
+			order: order,
+			price: spec.price,
+			trail: spec.trail,
+			trailPercent: (spec.trail === undefined) ? spec.trailPercent : undefined,
+			extreme: undefined,
+			group: undefined,
+			created: new Date().toISOString(),
+		};
+	}
+
+	/// Reload the file after another process has changed it.
+	/*private*/ reload() {
+		try {
+			this.load();
+		} catch (e) {
+			return; // probably part way through being written, try next time
+		}
+		this.sync();
+	}
+
+	/// Make a change, with the latest conditions from the file, and save it.
+	/**
+	 * If the file can't be read, the change is made to the conditions in
+	 * memory instead, and if it can't be saved they are kept in memory.
+	 * Either way the problem is reported through the 'error' event.
+	 */
+	/*private*/ update(fn) {
+		try {
+			this.load();
+		} catch (e) {
+			this.emitError(e);
+		}
+		fn();
+		this.save();
+	}
+
+	/// Write the conditions to the file.
+	/*private*/ save() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = undefined;
+		if (!this.file) return;
+		let data = {
+			lastID: this.lastID,
+			conditions: this.list(),
+		};
+		let temp = this.file + '.tmp';
+		try {
+			fs.writeFileSync(temp, JSON.stringify(data, null, '\t') + '\n', { mode: 0o600 });
+			fs.renameSync(temp, this.file);
+		} catch (e) {
+			this.emitError(new ZenithError('BADSTATE', 'Unable to save ' + this.file + ': '
+				+ e.message));
+		}
+	}
+
+	/// Save the conditions after saveDelay, unless something else saves them
+	/// first.
+	/*private*/ saveLater() {
+		if (!this.file || this.saveTimer) return;
+		this.saveTimer = setTimeout(() => this.update(() => {}), this.saveDelay);
+	}
+
+	/// Emit an 'error' event, if anything is listening.
+	/*private*/ emitError(err) {
+		if (this.listenerCount('error') > 0) this.emit('error', err);
+	}
+
+	/// Watch the prices needed by the pending conditions, and no others.
+	/*private*/ sync() {
+		if (!this.running) return Promise.resolve();
+		let needed = new Set(this.list()
+			.filter(c => c.status == 'pending')
+			.map(ConditionalOrders.getSymbol));
+		this.watches.forEach((sub, symbol) => {
+			if (needed.has(symbol)) return;
+			sub.unsubscribe();
+			this.watches.delete(symbol);
+			this.prices.delete(symbol);
+		});
+		let subs = [];
+		needed.forEach(symbol => {
+			let sub = this.watches.get(symbol);
+			if (!sub) {
+				let [code, exchange] = symbol.split(/\.(.*)/);
+				sub = this.zenith.sub_market_security(exchange, code, d => {
+					if (d && (d.Last !== undefined) && (d.Last !== null)) {
+						this.onPrice(symbol, Number(d.Last));
+					}
+				});
+				this.watches.set(symbol, sub);
+				sub.catch(() => {
+					// Reported through ZenithWS's subscriptionError event
+					sub.unsubscribe();
+					if (this.watches.get(symbol) === sub) this.watches.delete(symbol);
+				});
+			}
+			subs.push(sub);
+		});
+		return Promise.all(subs).then(() => {});
+	}
+
+	/// Check the pending conditions for a security against a new price.
+	/*private*/ onPrice(symbol, price) {
+		this.prices.set(symbol, price);
+		let affected = () => this.list()
+			.filter(c => (c.status == 'pending') && (ConditionalOrders.getSymbol(c) == symbol));
+		// Try copies first, to save reading and writing the file for nothing
+		if (!affected().some(c => this.evaluate(Object.assign({}, c), price) == 'trigger')) {
+			let moved = affected().filter(c => this.evaluate(c, price) == 'moved');
+			if (moved.length) this.saveLater();
+			moved.forEach(condition => this.emit('change', condition));
+			return;
+		}
+
+		let triggered = [];
+		let cancelled = [];
+		let changed = [];
+		this.update(() => {
+			affected().forEach(condition => {
+				if (condition.status != 'pending') return; // cancelled by its pair
+				let result = this.evaluate(condition, price);
+				if (result == 'moved') {
+					changed.push(condition);
+					return;
+				}
+				if (result != 'trigger') return;
+				condition.status = 'triggering';
+				condition.triggerPrice = price;
+				condition.triggered = new Date().toISOString();
+				triggered.push(condition);
+				if (!condition.group) return;
+				this.conditions.forEach(other => {
+					if ((other.group == condition.group) && (other.status == 'pending')) {
+						this.setCancelled(other, 'Other half of the pair ('
+							+ condition.id + ') triggered');
+						cancelled.push(other);
+					}
+				});
+			});
+		});
+		changed.forEach(condition => this.emit('change', condition));
+		cancelled.forEach(condition => {
+			this.emit('cancel', condition);
+			this.emit('change', condition);
+		});
+		triggered.forEach(condition => {
+			this.emit('change', condition);
+			this.emit('trigger', condition, price);
+			this.place(condition.id);
+		});
+		if (triggered.length) this.sync();
+	}
+
+	/// Work out whether a price triggers a condition, updating its trailing
+	/// stop.
+	/**
+	 * @return 'trigger', 'moved' if the trailing stop has moved, or undefined.
+	 */
+	/*private*/ evaluate(condition, price) {
+		let sell = (condition.order.Details.Side == 'Ask');
+		let moved = false;
+		if ((condition.type == 'trailingStop') && isBeyondExtreme(condition, price)) {
+			condition.extreme = price;
+			moved = true;
+		}
+		let trigger = ConditionalOrders.getTriggerPrice(condition);
+		let reached = (condition.type == 'takeProfit')
+			? (sell ? (price >= trigger) : (price <= trigger))
+			: (sell ? (price <= trigger) : (price >= trigger));
+		if (reached) return 'trigger';
+		return moved ? 'moved' : undefined;
+	}
+
+	/// Place a triggered condition's order.
+	/*private*/ place(id) {
+		let condition = this.conditions.get(id);
+		let finish = (fn) => {
+			this.update(() => {
+				condition = this.conditions.get(id) || condition;
+				fn(condition);
+			});
+			this.emit('change', condition);
+		};
+		this.zenith.trading_placeOrder(condition.order).then(result => {
+			if (!result || (result.Result != 'Success')) { // only with rawResults
+				let errors = (result && result.Errors) || [];
+				let err = new ZenithError('ORDER_FAILED', 'Order not placed: '
+					+ (errors.join(' ') || JSON.stringify(result)), { errors: errors });
+				finish(c => {
+					c.status = 'failed';
+					c.error = err.message;
+				});
+				this.emit('failed', condition, err);
+				return;
+			}
+			finish(c => {
+				c.status = 'placed';
+				c.orderID = result.Order && result.Order.ID;
+			});
+			this.emit('placed', condition, result);
+		}, err => {
+			finish(c => {
+				c.status = 'failed';
+				c.error = (err.errors && err.errors.length) ? err.errors.join(' ') : err.message;
+			});
+			this.emit('failed', condition, err);
+		}).catch(err => this.emitError(err)); // thrown by a listener
+	}
+
+	/*private*/ setCancelled(condition, reason) {
+		condition.status = 'cancelled';
+		condition.error = reason;
+	}
+
+	/// 'Code.Exchange' of the security a condition watches.
+	static getSymbol(condition) {
+		return condition.order.Details.Code + '.' + condition.order.Details.Exchange;
+	}
+};
+
+ConditionalOrders.TYPES = TYPES;
+ConditionalOrders.STATUSES = STATUSES;
+
+module.exports = ConditionalOrders;
@@ -1,13 +1,87 @@
 'use strict';
 
+/// Error from the Zenith API, or found before anything was sent.
+/**
+ * code identifies the problem, e.g. 'TIMEOUT' or 'BADCREDS'.  The subclasses
+ * below group the codes by cause, so they can be told apart with instanceof.
+ *
+ * Members, where known:
+ *  - errors: Array of the problems reported, usually the Errors member of the
+ *      server's response.
+ *  - transactionId: TransactionID of the request that failed.
+ *  - request: The request that failed, as sent to the server
+ *      ({ Controller, Topic, Data, TransactionID, ... }).
+ */
 class ZenithError extends Error
 {
-	constructor(code, message) {
+	/**
+	 * @param object details
+	 *   Optional, with members errors, transactionId and request as above.
+	 */
+	constructor(code, message, details = {}) {
 		super(message);
 		this.message = message;
-		this.name = 'ZenithError';
+		this.name = this.constructor.name;
 		this.code = code;
+		this.errors = details.errors;
+		this.transactionId = details.transactionId;
+		this.request = details.request;
 	}
 };
 
+/// The request had missing or incorrect details, found either by the server
+/// (Result 'Invalid') or before it was sent, e.g. by OrderBuilder.
+class ValidationError extends ZenithError
+{
+};
+
+/// The server understood an order request but refused it (Result 'Rejected'.)
+class OrderRejectedError extends ZenithError
+{
+};
+
+/// Unable to log in, or the login is no longer accepted.
+class AuthError extends ZenithError
+{
+};
+
+/// No response arrived in time, or a request could not be sent in time.
+class TimeoutError extends ZenithError
+{
+};
+
+/// The connection could not be made, or was lost before a response arrived.
+class ConnectionError extends ZenithError
+{
+};
+
+/// The server reported an error processing the request (Action 'Error' or
+/// Result 'Error'.)
+class ProtocolError extends ZenithError
+{
+};
+
+/// An order was stopped by a RiskManager before being sent.
+/**
+ * The code says which check failed, one of RiskManager.CODES, e.g.
+ * MAX_ORDER_VALUE or KILL_SWITCH.  limit is the limit that would have been
+ * exceeded and value what the order would have taken it to, where they apply.
+ */
+class RiskError extends ZenithError
+{
+	constructor(code, message, details = {}) {
+		super(code, message, details);
+		this.limit = details.limit;
+		this.value = details.value;
+	}
+};
+
+ZenithError.ValidationError = ValidationError;
+ZenithError.OrderRejectedError = OrderRejectedError;
+ZenithError.AuthError = AuthError;
+ZenithError.TimeoutError = TimeoutError;
+ZenithError.ConnectionError = ConnectionError;
+ZenithError.ProtocolError = ProtocolError;
+ZenithError.RiskError = RiskError;
+
 module.exports = ZenithError;
@@ -1,6 +1,23 @@
 'use strict';
 
 module.exports = {
+	BarAggregator: require('./baraggregator.js'),
+	ConditionalOrders: require('./conditionalorders.js'),
 	Error: require('./error.js'),
+	InstrumentDirectory: require('./instrumentdirectory.js'),
+	Logger: require('./logger.js'),
+	MockServer: require('./mock-server.js'),
+	Normaliser: require('./normaliser.js'),
+	OrderBook: require('./orderbook.js'),
+	OrderBuilder: require('./orderbuilder.js'),
+	OrderTracker: require('./ordertracker.js'),
+	PaperBroker: require('./paperbroker.js'),
+	Portfolio: require('./portfolio.js'),
+	Profiles: require('./profiles.js'),
+	ReplayTransport: require('./replaytransport.js'),
+	RiskManager: require('./riskmanager.js'),
+	SendQueue: require('./sendqueue.js'),
+	TradeTape: require('./tradetape.js'),
+	UpdateQueue: require('./updatequeue.js'),
 	WebSockets: require('./websockets.js'),
 };
@@ -0,0 +1,198 @@
+'use strict';
+
+let ZenithError = require('./error.js');
+
+/// How long looked up details are kept, in milliseconds.
+const DEFAULT_TTL = 60 * 60 * 1000;
+
+/// ASX price steps: prices below each limit move in multiples of the step.
+const ASX_TICKS = [
+	{ below: 0.1, step: 0.001 },
+	{ below: 2, step: 0.005 },
+	{ below: Infinity, step: 0.01 },
+];
+
+/// Cached lookups of securities by symbol.
+/**
+ * Symbols are either a code on its own, e.g. 'BHP', which is looked up on the
+ * default market, or a code and market joined with a dot, e.g. 'BHP.ASX' or
+ * 'BHP.ASX[Demo]', as used in Security! subscriptions.
+ *
+ * QuerySecurity and QuerySymbols results are kept for each market until the
+ * TTL passes, so repeated lookups don't go back to the server.  Lookups that
+ * fail are not kept.
+ *
+ * resolve() turns a symbol into an instrument with these members:
+ *  - symbol: 'Code.Market'.
+ *  - code, market, exchange: Where the security trades.
+ *  - name: Full name, e.g. 'BHP Group Limited'.
+ *  - class: Security class, e.g. 'Market' or 'Managed'.
+ *  - lotSize: Smallest number of units that can be traded, 1 if not given.
+ *  - tickSize: Smallest price movement at the last price, from the security's
+ *      TickSize if it has one, or else the ASX price steps.
+ *  - security: The full QuerySecurity result.
+ */
+class InstrumentDirectory
+{
+	/**
+	 * @param ZenithWS zenith
+	 *   Connection to query through.
+	 *
+	 * @param object options
+	 *   Optional, with members:
+	 *    - string market: Market for symbols given without one.  Default
+	 *      'ASX[Demo]'.
+	 *    - Number ttl: How long to keep results for, in milliseconds.
+	 *      Default one hour.
+	 */
+	constructor(zenith, options = {}) {
+		this.zenith = zenith;
+		this.market = options.market || 'ASX[Demo]';
+		this.ttl = (options.ttl === undefined) ? DEFAULT_TTL : options.ttl;
+		this.markets = new Map(); // market -> Map of cache key -> { expires, promise }
+	}
+
+	/// Split a symbol into its code and market.
+	/**
+	 * @return object with members code and market.
+	 */
+	parse(symbol, market = this.market) {
+		let dot = symbol.indexOf('.');
+		if (dot > 0) {
+			return {
+				code: symbol.substr(0, dot),
+				market: symbol.substr(dot + 1),
+			};
+		}
+		return {
+			code: symbol,
+			market: market,
+		};
+	}
+
+	/// Look up a security's details.
+	/**
+	 * @param string symbol
+	 *   Code, or 'Code.Market'.
+	 *
+	 * @param string market
+	 *   Market to use if the symbol doesn't include one.
+	 *
+	 * @return Promise, fulfilled with the instrument described above.
+	 *
+	 * @throw ZenithError with code NOSYMBOL (via the Promise) if there is no
+	 *   such security.
+	 */
+	resolve(symbol, market = this.market) {
+		let s = this.parse(symbol, market);
+		return this.cached(s.market, 'security:' + s.code, () => {
+			return this.zenith.market_querySecurity(s.market, s.code);
+		}).then(security => {
+			if (!security || !security.Code) {
+				this.forget(s.market, 'security:' + s.code);
+				throw new ZenithError('NOSYMBOL', 'Unknown symbol: ' + s.code + '.' + s.market);
+			}
+			return this.getInstrument(security, s.market);
+		});
+	}
+
+	/// Search for securities.
+	/**
+	 * @param string text
+	 *   Text to search for.
+	 *
+	 * @param object options
+	 *   Other QuerySymbols members, e.g. { Field: 'Name', IsPartial: true }.
+	 *
+	 * @param string market
+	 *   Market to search, defaults to the directory's market.
+	 *
+	 * @return Promise, fulfilled with the QuerySymbols result, an array of
+	 *   { Code, Market, Name, Class, ... } matches.
+	 */
+	search(text, options = {}, market = this.market) {
+		let key = 'symbols:' + JSON.stringify([text, options]);
+		return this.cached(market, key, () => {
+			// market_querySymbols() adds to the options it is given
+			return this.zenith.market_querySymbols(market, text, Object.assign({}, options));
+		}).then(result => result || []);
+	}
+
+	/// Throw away cached results.
+	/**
+	 * @param string market
+	 *   Only clear this market's results.  If omitted, everything is cleared.
+	 */
+	clear(market = undefined) {
+		if (market === undefined) {
+			this.markets.clear();
+		} else {
+			this.markets.delete(market);
+		}
+	}
+
+	/// Get a cached result, or fetch and cache it.
+	/**
+	 * The Promise is cached rather than the result, so simultaneous lookups
+	 * share one request.
+	 *
+	 * @param function fetch
+	 *   Returns a Promise of the result.
+	 */
+	/*private*/ cached(market, key, fetch) {
+		let cache = this.markets.get(market);
+		if (!cache) {
+			cache = new Map();
+			this.markets.set(market, cache);
+		}
+		let now = Date.now();
+		let entry = cache.get(key);
+		if (entry && (entry.expires > now)) return entry.promise;
+
+		entry = {
+			expires: now + this.ttl,
+			promise: fetch(),
+		};
+		cache.set(key, entry);
+		entry.promise.catch(() => {
+			if (cache.get(key) === entry) cache.delete(key);
+		});
+		return entry.promise;
+	}
+
+	/// Remove a cached result.
+	/*private*/ forget(market, key) {
+		let cache = this.markets.get(market);
+		if (cache) cache.delete(key);
+	}
+
+	/// Pick out the interesting parts of a QuerySecurity result.
+	/*private*/ getInstrument(security, market) {
+		let m = security.Market || market;
+		return {
+			symbol: security.Code + '.' + m,
+			code: security.Code,
+			market: m,
+			exchange: security.Exchange,
+			name: security.Name,
+			class: security.Class,
+			lotSize: security.LotSize || 1,
+			tickSize: security.TickSize || InstrumentDirectory.getTickSize(security.Last),
+			security: security,
+		};
+	}
+
+	/// Work out the ASX price step for a price.
+	/**
+	 * @return Number, the smallest price movement allowed at this price.
+	 */
+	static getTickSize(price) {
+		let p = Math.abs(Number(price) || 0);
+		return ASX_TICKS.find(t => p < t.below).step;
+	}
+};
+
+InstrumentDirectory.DEFAULT_TTL = DEFAULT_TTL;
+InstrumentDirectory.ASX_TICKS = ASX_TICKS;
+
+module.exports = InstrumentDirectory;
@@ -0,0 +1,86 @@
+'use strict';
+
+/// Log levels, least important first.
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+/// Field names whose values must never be logged, matching the whole name so
+/// the likes of "passive" or "bypass" are left alone.
+const SECRET_FIELDS = /^(pass(word|phrase|wd)?|(client)?[_-]?secret|(access|refresh|id|auth|bearer)?[_-]?token|authori[sz]ation|api[_-]?key)$/i;
+
+/// Nesting depth past which values are no longer copied by redact().
+const MAX_DEPTH = 10;
+
+/// Simple logger writing to the console, and the interface other loggers
+/// passed to ZenithWS must follow.
+/**
+ * A logger is any object with trace(), debug(), info(), warn() and error()
+ * functions, each called as fn(message, fields).  message is a short fixed
+ * string, and fields is an object with details such as transactionId,
+ * controller, topic and latencyMs, or undefined.  Fields are always passed
+ * through Logger.redact() first, so credentials and tokens never reach the
+ * logger.
+ */
+class Logger
+{
+	/**
+	 * @param string level
+	 *   Least important level to output, one of Logger.LEVELS.
+	 *
+	 * @param object output
+	 *   Object with a log() function to write each line with, e.g. console.
+	 */
+	constructor(level = 'info', output = console) {
+		this.level = level;
+		this.output = output;
+		LEVELS.forEach(l => {
+			this[l] = (message, fields) => this.log(l, message, fields);
+		});
+	}
+
+	/// Write a message if its level is important enough.
+	log(level, message, fields = undefined) {
+		if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) return;
+		let line = '[zenith] ' + level.toUpperCase() + ' ' + message;
+		if (fields === undefined) {
+			this.output.log(line);
+		} else {
+			this.output.log(line, fields);
+		}
+	}
+
+	/// Copy a value, replacing anything that looks like a credential.
+	/**
+	 * Object members named password, passphrase, secret, clientSecret, token,
+	 * accessToken, refresh_token, authorization and the like (in any case) are
+	 * replaced with '[REDACTED]'.
+	 * Errors are reduced to their name, code and message.
+	 */
+	static redact(value, depth = 0) {
+		if (depth > MAX_DEPTH) return '[...]';
+		if (value instanceof Error) {
+			return {
+				name: value.name,
+				code: value.code,
+				message: value.message,
+			};
+		}
+		if (value instanceof Date) return value;
+		if (value instanceof Array) return value.map(v => Logger.redact(v, depth + 1));
+		if (value && (typeof value == 'object')) {
+			let copy = {};
+			Object.keys(value).forEach(key => {
+				if (SECRET_FIELDS.test(key)) {
+					copy[key] = '[REDACTED]';
+				} else {
+					copy[key] = Logger.redact(value[key], depth + 1);
+				}
+			});
+			return copy;
+		}
+		return value;
+	}
+};
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
@@ -0,0 +1,443 @@
+'use strict';
+
+// Local stand-in for the Zenith service, for running the tests and trying
+// things out without network access or real credentials.
+
+let EventEmitter = require('events');
+let http = require('http');
+let querystring = require('querystring');
+let WebSocket = require('ws');
+
+/// Credentials accepted by the mock server unless changed.
+const DEFAULT_CREDENTIALS = {
+	clientId: 'mock-client-id',
+	clientSecret: 'mock-client-secret',
+	username: 'mock-user',
+	password: 'mock-password',
+};
+
+class MockZenithServer extends EventEmitter
+{
+	/**
+	 * Events:
+	 *  - 'request' (req, client): A Zenith message was received.
+	 *  - 'token' (grantType): An OAuth token was issued.
+	 *  - 'connection' (client): A WebSocket client connected.
+	 *
+	 * @param object credentials
+	 *   Login details to accept, same format as for ZenithWS.  Defaults to
+	 *   MockZenithServer.DEFAULT_CREDENTIALS.
+	 */
+	constructor(credentials = DEFAULT_CREDENTIALS) {
+		super();
+		this.credentials = credentials;
+
+		this.tokenLifetime = 3600; // expires_in value for issued tokens, in seconds
+		this.fixtures = {}; // 'Controller:Topic' -> response, see fixture()
+		this.clients = []; // connected WebSockets
+		this.requests = []; // every Zenith message received, oldest first
+		this.accessTokens = {}; // issued access token -> true
+		this.refreshTokens = {}; // issued refresh token -> true
+		this.lastToken = 0;
+		this.lastOrderID = 0;
+
+		this.setDefaultFixtures();
+	}
+
+	/// Start listening.
+	/**
+	 * @param Number port
+	 *   TCP port to listen on, or 0 to pick a free one.
+	 *
+	 * @return Promise, fulfilled once listening.  this.endpoints can then be
+	 *   used to connect.
+	 */
+	start(port = 0) {
+		return new Promise((fulfill, reject) => {
+			this.http = http.createServer(this.http_onRequest.bind(this));
+			this.wss = new WebSocket.Server({
+				server: this.http,
+				verifyClient: this.ws_verifyClient.bind(this),
+				handleProtocols: (protocols, cb) => {
+					if (protocols.indexOf('ZenithJson') < 0) {
+						cb(false);
+						return;
+					}
+					cb(true, 'ZenithJson');
+				},
+			});
+			this.wss.on('connection', this.ws_onConnection.bind(this));
+			this.http.once('error', reject);
+			this.http.listen(port, '127.0.0.1', () => {
+				this.port = this.http.address().port;
+				fulfill();
+			});
+		});
+	}
+
+	/// Disconnect all clients and stop listening.
+	stop() {
+		return new Promise(fulfill => {
+			if (!this.http) {
+				fulfill();
+				return;
+			}
+			this.wss.close();
+			this.http.close(() => fulfill());
+			if (this.http.closeAllConnections) this.http.closeAllConnections();
+			this.http = undefined;
+		});
+	}
+
+	/// URLs for connecting to this server, in the same form as ZenithWS.endpoints.
+	get endpoints() {
+		let base = '127.0.0.1:' + this.port;
+		return {
+			authorizationUri: 'http://' + base + '/OAuth2/Authorise',
+			accessTokenUri: 'http://' + base + '/OAuth2/Token',
+			ws: 'ws://' + base + '/Zenith',
+		};
+	}
+
+	/// Set the response to a call or subscription.
+	/**
+	 * @param mixed response
+	 *   Value to send back as the Data member of the response.  If this is a
+	 *   function it is called as response(data, req, client) where data is the
+	 *   Data member of the request, and its return value (or what it fulfils
+	 *   with, if it returns a Promise) is sent back instead.  If it throws or
+	 *   rejects, the error is sent back as an 'Error' action.
+	 *
+	 *   For subscriptions this is the initial data sent when the subscription
+	 *   is made.
+	 */
+	fixture(controller, topic, response) {
+		this.fixtures[controller + ':' + topic] = {
+			type: 'data',
+			response: response,
+		};
+	}
+
+	/// Make a call or subscription fail with an 'Error' action.
+	fail(controller, topic, data) {
+		this.fixtures[controller + ':' + topic] = {
+			type: 'error',
+			response: data,
+		};
+	}
+
+	/// Never respond to a call or subscription, so it times out.
+	ignore(controller, topic) {
+		this.fixtures[controller + ':' + topic] = {
+			type: 'ignore',
+		};
+	}
+
+	/// Send an update to every client subscribed to a topic.
+	/**
+	 * @return Number of clients the update was sent to.
+	 */
+	publish(controller, topic, data) {
+		let key = controller + ':' + topic;
+		let count = 0;
+		this.clients.forEach(client => {
+			if (!client.subscriptions[key]) return;
+			this.send(client, {
+				Controller: controller,
+				Topic: topic,
+				Action: 'Publish',
+				Data: data,
+			});
+			count++;
+		});
+		return count;
+	}
+
+	/// Abruptly drop every client connection, as if the network had failed.
+	dropConnections() {
+		this.clients.slice().forEach(client => client.terminate());
+	}
+
+	/// Wait until a particular message is received.
+	/**
+	 * @param string action
+	 *   Optional Action to match, e.g. 'Sub' or 'Unsub'.
+	 *
+	 * @return Promise, fulfilled with the request.
+	 */
+	waitForRequest(controller, topic, action = undefined) {
+		return new Promise(fulfill => {
+			let listener = req => {
+				if (req.Controller != controller) return;
+				if (req.Topic != topic) return;
+				if (action && (req.Action != action)) return;
+				this.removeListener('request', listener);
+				fulfill(req);
+			};
+			this.on('request', listener);
+		});
+	}
+
+	/// Load responses that behave like a freshly created demo account.
+	/*private*/ setDefaultFixtures() {
+		this.fixture('Auth', 'AuthToken', data => {
+			return {
+				Result: this.accessTokens[data.AccessToken] ? 'Success' : 'Failed',
+			};
+		});
+		this.fixture('Auth', 'QueryIdentify', () => {
+			return {
+				UserID: this.credentials.username,
+				DisplayName: 'Mock User',
+				Scope: ['Trading', 'Market'],
+			};
+		});
+		this.fixture('Zenith', 'ServerInfo', {
+			Name: 'Zenith Mock',
+			Version: '0.0.0',
+		});
+		this.fixture('Market', 'QueryMarkets', [{
+			Code: 'ASX[Demo]',
+			Feed: 'Active',
+			Status: 'Open',
+			States: [{
+				Name: 'ASX[Demo]',
+				Status: 'Open',
+			}],
+		}]);
+		this.fixture('Market', 'QuerySecurity', data => {
+			return {
+				Market: data.Market,
+				Code: data.Code,
+				Name: data.Code + ' Mock Security',
+				Class: 'Market',
+				Last: 1,
+			};
+		});
+		this.fixture('Market', 'QuerySymbols', []);
+		this.fixture('Trading', 'QueryAccounts', [{
+			ID: '12345[Demo]',
+			Name: 'Mock Account',
+			Currency: 'AUD',
+		}]);
+		this.fixture('Trading', 'QueryBalances', []);
+		this.fixture('Trading', 'QueryHoldings', []);
+		this.fixture('Trading', 'QueryOrders', []);
+		this.fixture('Trading', 'PlaceOrder', data => {
+			let order = {
+				ID: 'mock-order-' + (++this.lastOrderID),
+				Account: data.Account,
+				Status: 'Placed',
+				Details: data.Details,
+				Route: data.Route,
+				ExecutedQuantity: 0,
+			};
+			this.publish('Trading', 'Orders!' + data.Account, [{
+				O: 'A',
+				Order: order,
+			}]);
+			return {
+				Result: 'Success',
+				Order: order,
+			};
+		});
+		this.fixture('Trading', 'CancelOrder', {
+			Result: 'Success',
+		});
+		this.fixture('Trading', 'AmendOrder', data => {
+			return {
+				Result: 'Success',
+				Order: {
+					ID: data.Order,
+					Account: data.Account,
+					Details: data.Details,
+				},
+			};
+		});
+		this.fixture('Trading', 'MoveOrder', data => {
+			return {
+				Result: 'Success',
+				Order: {
+					ID: data.Order,
+					Account: data.Destination,
+				},
+			};
+		});
+	}
+
+	/// Handle an OAuth request.
+	/*private*/ http_onRequest(req, res) {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			if ((req.method != 'POST') || (req.url != '/OAuth2/Token')) {
+				this.http_reply(res, 404, {
+					error: 'not_found',
+				});
+				return;
+			}
+			let params = querystring.parse(body);
+			let auth = (req.headers.authorization || '').replace(/^Basic /, '');
+			auth = Buffer.from(auth, 'base64').toString();
+			if (auth != this.credentials.clientId + ':' + this.credentials.clientSecret) {
+				this.http_reply(res, 401, {
+					error: 'invalid_client',
+					error_description: 'Unknown client ID or secret',
+				});
+				return;
+			}
+
+			switch (params.grant_type) {
+				case 'password':
+					if (
+						(params.username != this.credentials.username)
+						|| (params.password != this.credentials.password)
+					) {
+						this.http_reply(res, 400, {
+							error: 'invalid_grant',
+							error_description: 'Bad username or password',
+						});
+						return;
+					}
+					break;
+				case 'refresh_token':
+					if (!this.refreshTokens[params.refresh_token]) {
+						this.http_reply(res, 400, {
+							error: 'invalid_grant',
+							error_description: 'Unknown refresh token',
+						});
+						return;
+					}
+					delete this.refreshTokens[params.refresh_token];
+					break;
+				default:
+					this.http_reply(res, 400, {
+						error: 'unsupported_grant_type',
+					});
+					return;
+			}
+
+			let id = ++this.lastToken;
+			let token = {
+				access_token: 'mock-access-' + id,
+				refresh_token: 'mock-refresh-' + id,
+				token_type: 'bearer',
+				expires_in: this.tokenLifetime,
+				scope: 'http://api.paritech.com/wsapi',
+			};
+			this.accessTokens[token.access_token] = true;
+			this.refreshTokens[token.refresh_token] = true;
+			this.http_reply(res, 200, token);
+			this.emit('token', params.grant_type);
+		});
+	}
+
+	/*private*/ http_reply(res, status, data) {
+		let body = JSON.stringify(data);
+		res.writeHead(status, {
+			'Content-Type': 'application/json',
+			'Content-Length': Buffer.byteLength(body),
+		});
+		res.end(body);
+	}
+
+	/// Only allow WebSocket connections with a valid access token.
+	/*private*/ ws_verifyClient(info) {
+		let auth = info.req.headers.authorization || '';
+		return !!this.accessTokens[auth.replace(/^Bearer /, '')];
+	}
+
+	/*private*/ ws_onConnection(client) {
+		client.subscriptions = {};
+		this.clients.push(client);
+		client.on('close', () => {
+			let index = this.clients.indexOf(client);
+			if (index >= 0) this.clients.splice(index, 1);
+		});
+		client.on('message', data => {
+			let req;
+			try {
+				req = JSON.parse(data);
+			} catch (e) {
+				return;
+			}
+			this.requests.push(req);
+			this.ws_onRequest(client, req);
+			this.emit('request', req, client);
+		});
+		this.emit('connection', client);
+	}
+
+	/// Work out the response to a Zenith message.
+	/*private*/ ws_onRequest(client, req) {
+		let key = req.Controller + ':' + req.Topic;
+		let res = {
+			Controller: req.Controller,
+			Topic: req.Topic,
+		};
+
+		if (req.Action == 'Unsub') {
+			delete client.subscriptions[key];
+			return;
+		}
+
+		if (req.Action == 'Sub') {
+			// Subscription responses are matched on Controller and Topic, so they
+			// don't include the transaction ID.
+			client.subscriptions[key] = true;
+			res.Action = 'Publish';
+		} else {
+			res.TransactionID = req.TransactionID;
+		}
+
+		let fixture = this.fixtures[key];
+		if (!fixture) {
+			if (req.Action == 'Sub') {
+				// Accept any subscription, there is just no initial data
+				this.send(client, res);
+				return;
+			}
+			res.Action = 'Error';
+			res.Data = 'Unknown topic: ' + key;
+			this.send(client, res);
+			return;
+		}
+
+		switch (fixture.type) {
+			case 'ignore':
+				return;
+			case 'error':
+				res.Action = 'Error';
+				res.Data = fixture.response;
+				this.send(client, res);
+				return;
+		}
+
+		Promise.resolve()
+			.then(() => {
+				if (fixture.response instanceof Function) {
+					return fixture.response(req.Data, req, client);
+				}
+				return fixture.response;
+			})
+			.then(data => {
+				res.Data = data;
+			})
+			.catch(err => {
+				res.Action = 'Error';
+				res.Data = err.message || err;
+			})
+			.then(() => {
+				this.send(client, res);
+			});
+	}
+
+	/*private*/ send(client, msg) {
+		if (client.readyState != WebSocket.OPEN) return;
+		client.send(JSON.stringify(msg));
+	}
+};
+
+MockZenithServer.DEFAULT_CREDENTIALS = DEFAULT_CREDENTIALS;
+
+module.exports = MockZenithServer;
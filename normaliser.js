@@ -0,0 +1,202 @@
+'use strict';
+
+/// Zenith sends this (at any time of day or offset) when a date is not set.
+const NO_DATE = '0001-01-01';
+
+/// Member of each record holding the exact prices, with the decimal option.
+/**
+ * A Symbol, so it is copied by Object.assign() but never sent back to the
+ * server by JSON.stringify(), e.g. when amending an order with the details
+ * QueryOrders returned.
+ */
+const DECIMALS = Symbol('decimals');
+
+/// Fields to convert in each kind of record Zenith sends.
+/**
+ *  - dates: Converted to Date objects, or null for the NO_DATE sentinel.
+ *  - prices: Converted to Numbers, and also passed to the decimal option.
+ *  - numbers: Converted to Numbers if sent as strings.
+ *  - nested: Member name -> kind of record it contains.
+ */
+const RECORDS = {
+	Market: {
+		dates: ['MarketTime', 'TradingDate'],
+	},
+	Security: {
+		dates: ['ExpiryDate'],
+		prices: ['Open', 'High', 'Low', 'Close', 'Settlement', 'Last', 'BestBid',
+			'BestAsk', 'AuctionPrice', 'VWAP', 'StrikePrice'],
+		numbers: ['Volume', 'NumberOfTrades', 'ValueTraded', 'BidCount',
+			'BidQuantity', 'AskCount', 'AskQuantity', 'AuctionQuantity',
+			'OpenInterest', 'LotSize', 'ShareIssue', 'ContractSize'],
+	},
+	Trade: {
+		dates: ['Time'],
+		prices: ['Price'],
+		numbers: ['Quantity'],
+	},
+	DepthOrder: {
+		prices: ['Price'],
+		numbers: ['Quantity'],
+	},
+	Order: {
+		dates: ['CreatedDate', 'UpdatedDate'],
+		prices: ['AveragePrice'],
+		numbers: ['ExecutedQuantity'],
+		nested: {
+			Details: 'OrderDetails',
+		},
+	},
+	OrderDetails: {
+		dates: ['ExpiryDate'],
+		prices: ['LimitPrice'],
+		numbers: ['Quantity', 'HiddenQuantity', 'MinimumQuantity'],
+	},
+	Holding: {
+		prices: ['AveragePrice'],
+		numbers: ['TotalQuantity', 'TotalAvailableQuantity', 'Cost'],
+	},
+	Balance: {
+		numbers: ['Amount'],
+	},
+};
+
+/// What each Controller:Topic sends, ignoring anything after a '!'.
+/**
+ *  - record: Kind of record, from RECORDS.
+ *  - member: If each item (or the whole response) has the record in this
+ *      member, e.g. { O: 'A', Trade: {...} }.  Items without it are taken to
+ *      be the record itself.
+ */
+const TOPICS = {
+	'Market:QueryMarkets': { record: 'Market' },
+	'Market:Markets': { record: 'Market' },
+	'Market:QuerySecurity': { record: 'Security' },
+	'Market:Security': { record: 'Security' },
+	'Market:Trades': { record: 'Trade', member: 'Trade' },
+	'Market:Depth': { record: 'DepthOrder', member: 'Order' },
+	'Trading:QueryOrders': { record: 'Order', member: 'Order' },
+	'Trading:Orders': { record: 'Order', member: 'Order' },
+	'Trading:PlaceOrder': { record: 'Order', member: 'Order' },
+	'Trading:AmendOrder': { record: 'Order', member: 'Order' },
+	'Trading:MoveOrder': { record: 'Order', member: 'Order' },
+	'Trading:CancelOrder': { record: 'Order', member: 'Order' },
+	'Trading:QueryHoldings': { record: 'Holding', member: 'Holding' },
+	'Trading:Holdings': { record: 'Holding', member: 'Holding' },
+	'Trading:QueryBalances': { record: 'Balance', member: 'Balance' },
+	'Trading:Balances': { record: 'Balance', member: 'Balance' },
+};
+
+/// Converts the data in messages from Zenith into consistent types.
+/**
+ * Date strings become Date objects, except for Zenith's 0001-01-01 "no date"
+ * value which becomes null, and numbers sent as strings become Numbers.
+ * Which fields to convert is worked out from the message's Controller and
+ * Topic, see RECORDS and TOPICS.  Anything else is left as it is.
+ *
+ * Exact prices can be had as well by giving a decimal function, which is
+ * passed each price as a string.  Parsing JSON has already turned them into
+ * Numbers, but any price with fewer than 16 significant digits converts back
+ * to exactly the text the server sent.  The results go in a separate member
+ * of the record, see Normaliser.getDecimal(), and the price fields stay
+ * Numbers so OrderBook, TradeTape, Portfolio and the other models work as
+ * usual.
+ */
+class Normaliser
+{
+	/**
+	 * @param object options
+	 *   Optional, with members:
+	 *    - function decimal: Called as decimal(text) for every price, returning
+	 *      the exact value to keep alongside the Number, e.g.
+	 *      text => new Big(text) or String to keep the text.
+	 */
+	constructor(options = {}) {
+		this.decimal = options.decimal;
+	}
+
+	/// Convert the Data of a message received from the server, in place.
+	/**
+	 * @param object msg
+	 *   Message as parsed from JSON, with Controller, Topic and Data.
+	 *
+	 * @return msg.
+	 */
+	message(msg) {
+		if (!msg || (msg.Action == 'Error')) return msg;
+		let topic = TOPICS[msg.Controller + ':' + String(msg.Topic).split('!')[0]];
+		if (topic && msg.Data && (typeof msg.Data == 'object')) {
+			let items = (msg.Data instanceof Array) ? msg.Data : [msg.Data];
+			items.forEach(item => {
+				if (!item || (typeof item != 'object')) return;
+				if (topic.member && item[topic.member] && (typeof item[topic.member] == 'object')) {
+					this.record(topic.record, item[topic.member]);
+				} else {
+					this.record(topic.record, item);
+				}
+			});
+		}
+		return msg;
+	}
+
+	/// Exact value of a price, from the decimal option.
+	/**
+	 * @param object record
+	 *   Record received from the server, e.g. a Trade or an order's Details.
+	 *
+	 * @param string field
+	 *   Price field, e.g. 'Price' or 'LimitPrice'.
+	 *
+	 * @return The decimal value, or the Number if there isn't one.
+	 */
+	static getDecimal(record, field) {
+		let decimals = record && record[DECIMALS];
+		if (decimals && (field in decimals)) return decimals[field];
+		return record ? record[field] : undefined;
+	}
+
+	/// Convert the fields of one record, in place.
+	/*private*/ record(type, record) {
+		let schema = RECORDS[type];
+		(schema.dates || []).forEach(field => {
+			if (field in record) record[field] = this.date(record[field]);
+		});
+		(schema.prices || []).forEach(field => {
+			if (!(field in record)) return;
+			let value = record[field];
+			record[field] = this.number(value);
+			if (this.decimal && (value !== null) && (value !== undefined) && (value !== '')) {
+				if (!record[DECIMALS]) record[DECIMALS] = {};
+				record[DECIMALS][field] = this.decimal(String(value));
+			}
+		});
+		(schema.numbers || []).forEach(field => {
+			if (field in record) record[field] = this.number(record[field]);
+		});
+		let nested = schema.nested || {};
+		Object.keys(nested).forEach(field => {
+			let value = record[field];
+			if (value && (typeof value == 'object')) this.record(nested[field], value);
+		});
+	}
+
+	/*private*/ date(value) {
+		if (typeof value != 'string') return value;
+		if (value.startsWith(NO_DATE)) return null;
+		let date = new Date(value);
+		if (isNaN(date.getTime())) return value; // not a date, leave it alone
+		return date;
+	}
+
+	/*private*/ number(value) {
+		if ((typeof value != 'string') || (value.trim() === '') || isNaN(value)) return value;
+		return Number(value);
+	}
+};
+
+Normaliser.DECIMALS = DECIMALS;
+Normaliser.NO_DATE = NO_DATE;
+Normaliser.RECORDS = RECORDS;
+Normaliser.TOPICS = TOPICS;
+
+module.exports = Normaliser;
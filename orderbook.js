@@ -0,0 +1,154 @@
+'use strict';
+
+let EventEmitter = require('events');
+
+/// Local copy of a security's market depth, kept up to date from a Depth
+/// subscription.
+/**
+ * Zenith sends depth as a list of changes to individual orders.  Each change
+ * has an operation code in the O member:
+ *
+ *  - 'A': Add.  Order is the new order: { ID, Side, Price, Quantity, ... }
+ *  - 'U': Update.  Order has the ID and any members that have changed.
+ *  - 'R': Remove.  ID is the order to remove.
+ *  - 'C': Clear.  Remove every order, usually followed by a new snapshot.
+ *
+ * Side is 'Bid' or 'Ask'.  Orders are grouped into price levels, with the
+ * best price first on each side.
+ *
+ * Events:
+ *  - 'change' (book): One or more changes have been applied.
+ *  - 'clear' (book): All orders were removed.
+ */
+class OrderBook extends EventEmitter
+{
+	constructor(market, symbol) {
+		super();
+		this.market = market;
+		this.symbol = symbol;
+		this.orders = new Map(); // order ID -> order
+	}
+
+	/// Apply changes received from the server.
+	/**
+	 * @param Array changes
+	 *   Depth changes as sent by the server.  A single change object is also
+	 *   accepted.
+	 */
+	apply(changes) {
+		if (!changes) return;
+		if (!(changes instanceof Array)) changes = [changes];
+		let changed = false;
+		changes.forEach(d => {
+			switch (d.O) {
+				case 'A':
+					this.orders.set(d.Order.ID, Object.assign({}, d.Order));
+					changed = true;
+					break;
+				case 'U': {
+					let order = this.orders.get(d.Order.ID);
+					if (order) {
+						Object.assign(order, d.Order);
+					} else {
+						// Missed the add somehow, so treat it as one
+						this.orders.set(d.Order.ID, Object.assign({}, d.Order));
+					}
+					changed = true;
+					break;
+				}
+				case 'R':
+					if (this.orders.delete(d.ID)) changed = true;
+					break;
+				case 'C':
+					this.orders.clear();
+					this.emit('clear', this);
+					changed = true;
+					break;
+				default:
+					// Unknown operation, ignore it
+					break;
+			}
+		});
+		if (changed) this.emit('change', this);
+	}
+
+	/// Get the price levels on one side of the book.
+	/**
+	 * @param string side
+	 *   'Bid' or 'Ask'.
+	 *
+	 * @param Number depth
+	 *   Maximum number of levels to return, or undefined for all.
+	 *
+	 * @return Array of { Price, Quantity, Count, CumulativeQuantity }, best
+	 *   price first.  Count is the number of orders at the price, and
+	 *   CumulativeQuantity is the total quantity at this price and all better
+	 *   prices.
+	 */
+	levels(side, depth = undefined) {
+		let byPrice = new Map();
+		this.orders.forEach(order => {
+			if (order.Side != side) return;
+			let level = byPrice.get(order.Price);
+			if (!level) {
+				level = {
+					Price: order.Price,
+					Quantity: 0,
+					Count: 0,
+					CumulativeQuantity: 0,
+				};
+				byPrice.set(order.Price, level);
+			}
+			level.Quantity += order.Quantity;
+			level.Count++;
+		});
+
+		let levels = Array.from(byPrice.values());
+		if (side == 'Bid') {
+			levels.sort((a, b) => b.Price - a.Price); // highest bid first
+		} else {
+			levels.sort((a, b) => a.Price - b.Price); // lowest ask first
+		}
+		if (depth !== undefined) levels = levels.slice(0, depth);
+
+		let total = 0;
+		levels.forEach(level => {
+			total += level.Quantity;
+			level.CumulativeQuantity = total;
+		});
+		return levels;
+	}
+
+	/// Price levels people are buying at, highest first.
+	bids(depth = undefined) {
+		return this.levels('Bid', depth);
+	}
+
+	/// Price levels people are selling at, lowest first.
+	asks(depth = undefined) {
+		return this.levels('Ask', depth);
+	}
+
+	/// Highest bid level, or undefined if there are no bids.
+	bestBid() {
+		return this.levels('Bid', 1)[0];
+	}
+
+	/// Lowest ask level, or undefined if there are no asks.
+	bestAsk() {
+		return this.levels('Ask', 1)[0];
+	}
+
+	/// Difference between the best ask and best bid prices.
+	/**
+	 * @return Number, or undefined if either side of the book is empty.
+	 */
+	spread() {
+		let bid = this.bestBid();
+		let ask = this.bestAsk();
+		if (!bid || !ask) return undefined;
+		return ask.Price - bid.Price;
+	}
+};
+
+module.exports = OrderBook;
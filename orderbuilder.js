@@ -0,0 +1,278 @@
+'use strict';
+
+let ZenithError = require('./error.js');
+
+/// Order types, and the prices each one needs.
+const TYPES = {
+	Market: [],
+	MarketToLimit: [],
+	Best: [],
+	Limit: ['LimitPrice'],
+	Stop: ['TriggerPrice'],
+	StopLimit: ['TriggerPrice', 'LimitPrice'],
+};
+
+/// How long an order stays in the market.
+const VALIDITIES = [
+	'FillAndKill', // fill as much as possible immediately, cancel the rest
+	'FillOrKill', // fill completely immediately, or cancel
+	'UntilCancel', // good till cancelled
+	'UntilDate', // good till ExpiryDate
+];
+
+const SIDES = ['Bid', 'Ask'];
+
+/// Put together the options for ZenithWS.trading_placeOrder().
+/**
+ * Each function returns the builder so calls can be chained, e.g.
+ *
+ *   let order = new OrderBuilder('12345[Demo]')
+ *     .exchange('ASX[Demo]')
+ *     .buy('BHP', 100)
+ *     .limit(19.50)
+ *     .untilDate(new Date('2016-12-01'))
+ *     .build();
+ *
+ * Nothing is checked until build() is called, which throws a ValidationError
+ * with code INVALID_ORDER listing every problem found, so mistakes are caught
+ * before the order is sent.  The route defaults to the exchange, and the
+ * validity to UntilCancel.
+ */
+class OrderBuilder
+{
+	constructor(account = undefined) {
+		this.order = {
+			Account: account,
+			Details: {
+				Style: 'Equity',
+				Validity: 'UntilCancel',
+			},
+			Route: {
+				Algorithm: 'Market',
+			},
+		};
+	}
+
+	/// Set the trading account to place the order through.
+	account(id) {
+		this.order.Account = id;
+		return this;
+	}
+
+	/// Set the exchange the security is listed on, e.g. 'ASX[Demo]'.
+	exchange(exchange) {
+		this.order.Details.Exchange = exchange;
+		return this;
+	}
+
+	/// Set the security code, e.g. 'BHP'.
+	code(code) {
+		this.order.Details.Code = code;
+		return this;
+	}
+
+	/// Set the number of units to buy or sell.
+	quantity(quantity) {
+		this.order.Details.Quantity = quantity;
+		return this;
+	}
+
+	/// Set the side, 'Bid' to buy or 'Ask' to sell.
+	side(side) {
+		this.order.Details.Side = side;
+		return this;
+	}
+
+	/// Set the style of security, defaults to 'Equity'.
+	style(style) {
+		this.order.Details.Style = style;
+		return this;
+	}
+
+	/// Buy a quantity of a security.
+	buy(code, quantity) {
+		return this.side('Bid').code(code).quantity(quantity);
+	}
+
+	/// Sell a quantity of a security.
+	sell(code, quantity) {
+		return this.side('Ask').code(code).quantity(quantity);
+	}
+
+	/// Set the order type directly, see OrderBuilder.TYPES.
+	type(type) {
+		this.order.Details.Type = type;
+		return this;
+	}
+
+	/// Trade at whatever price is available.
+	market() {
+		return this.type('Market');
+	}
+
+	/// Trade at the best price available, then rest at that price.
+	marketToLimit() {
+		return this.type('MarketToLimit');
+	}
+
+	/// Trade at the best price on the opposite side of the book.
+	best() {
+		return this.type('Best');
+	}
+
+	/// Trade at this price or better.
+	limit(price) {
+		this.order.Details.LimitPrice = price;
+		return this.type('Limit');
+	}
+
+	/// Place a market order once the price reaches triggerPrice.
+	stop(triggerPrice) {
+		this.order.Details.TriggerPrice = triggerPrice;
+		return this.type('Stop');
+	}
+
+	/// Place a limit order at limitPrice once the price reaches triggerPrice.
+	stopLimit(triggerPrice, limitPrice) {
+		this.order.Details.TriggerPrice = triggerPrice;
+		this.order.Details.LimitPrice = limitPrice;
+		return this.type('StopLimit');
+	}
+
+	/// Set the validity directly, see OrderBuilder.VALIDITIES.
+	/**
+	 * @param mixed expiry
+	 *   Date (or date string) the order expires, only for 'UntilDate'.
+	 */
+	validity(validity, expiry = undefined) {
+		this.order.Details.Validity = validity;
+		if (expiry === undefined) {
+			delete this.order.Details.ExpiryDate;
+		} else {
+			this.order.Details.ExpiryDate = expiry;
+		}
+		return this;
+	}
+
+	fillAndKill() {
+		return this.validity('FillAndKill');
+	}
+
+	fillOrKill() {
+		return this.validity('FillOrKill');
+	}
+
+	untilCancel() {
+		return this.validity('UntilCancel');
+	}
+
+	/// Good till date.
+	untilDate(expiry) {
+		return this.validity('UntilDate', expiry);
+	}
+
+	/// Set where the order is sent, defaults to the exchange.
+	route(market, algorithm = 'Market') {
+		this.order.Route = {
+			Algorithm: algorithm,
+			Market: market,
+		};
+		return this;
+	}
+
+	/// Check the order and return the options for trading_placeOrder().
+	/**
+	 * @throw ValidationError with code INVALID_ORDER if anything is missing or
+	 *   wrong.  The error's errors member lists each problem.
+	 */
+	build() {
+		let order = JSON.parse(JSON.stringify(this.order)); // copy, Dates to strings
+		if (!order.Route.Market) order.Route.Market = order.Details.Exchange;
+		OrderBuilder.validate(order);
+		return order;
+	}
+
+	/// Check a complete order, as passed to trading_placeOrder().
+	/**
+	 * @throw ValidationError with code INVALID_ORDER if anything is missing or
+	 *   wrong.  The error's errors member lists each problem.
+	 */
+	static validate(order) {
+		let errors = [];
+		let details = order.Details || {};
+		let route = order.Route || {};
+
+		let requireString = (value, name) => {
+			if ((typeof value != 'string') || (value.length == 0)) {
+				errors.push(name + ' is required');
+				return false;
+			}
+			return true;
+		};
+		let requireOneOf = (value, name, allowed) => {
+			if (allowed.indexOf(value) < 0) {
+				errors.push(name + ' must be one of ' + allowed.join(', ')
+					+ ', got ' + JSON.stringify(value));
+			}
+		};
+		let requirePrice = (value, name) => {
+			if ((typeof value != 'number') || !isFinite(value) || (value <= 0)) {
+				errors.push(name + ' must be a positive number, got '
+					+ JSON.stringify(value));
+			}
+		};
+
+		requireString(order.Account, 'Account');
+		requireString(details.Exchange, 'Exchange');
+		requireString(details.Code, 'Code');
+		requireString(details.Style, 'Style');
+		requireString(route.Market, 'Route market');
+		requireString(route.Algorithm, 'Route algorithm');
+		requireOneOf(details.Side, 'Side', SIDES);
+
+		let quantity = details.Quantity;
+		if (!Number.isInteger(quantity) || (quantity <= 0)) {
+			errors.push('Quantity must be a positive whole number, got '
+				+ JSON.stringify(quantity));
+		}
+
+		let prices = TYPES[details.Type];
+		if (!prices) {
+			requireOneOf(details.Type, 'Type', Object.keys(TYPES));
+		} else {
+			['LimitPrice', 'TriggerPrice'].forEach(name => {
+				if (prices.indexOf(name) >= 0) {
+					requirePrice(details[name], name);
+				} else if (details[name] !== undefined) {
+					errors.push(name + ' cannot be used with ' + details.Type + ' orders');
+				}
+			});
+		}
+
+		requireOneOf(details.Validity, 'Validity', VALIDITIES);
+		if (details.Validity == 'UntilDate') {
+			let expiry = new Date(details.ExpiryDate);
+			if ((details.ExpiryDate === undefined) || isNaN(expiry.getTime())) {
+				errors.push('ExpiryDate must be a valid date for UntilDate orders, got '
+					+ JSON.stringify(details.ExpiryDate));
+			} else if (expiry.getTime() <= Date.now()) {
+				errors.push('ExpiryDate must be in the future');
+			}
+		} else if (details.ExpiryDate !== undefined) {
+			errors.push('ExpiryDate can only be used with UntilDate orders');
+		}
+
+		if (errors.length) {
+			throw new ZenithError.ValidationError('INVALID_ORDER',
+				'Invalid order: ' + errors.join('; '), {
+					errors: errors,
+				});
+		}
+	}
+};
+
+OrderBuilder.TYPES = Object.keys(TYPES);
+OrderBuilder.VALIDITIES = VALIDITIES;
+OrderBuilder.SIDES = SIDES;
+
+module.exports = OrderBuilder;
@@ -0,0 +1,179 @@
+'use strict';
+
+let EventEmitter = require('events');
+let ZenithError = require('./error.js');
+
+/// States an order can be in, as worked out by OrderTracker.getState().
+const STATES = ['placed', 'partiallyFilled', 'filled', 'cancelled', 'rejected', 'expired'];
+
+/// States an order will never leave.
+const TERMINAL_STATES = ['filled', 'cancelled', 'rejected', 'expired'];
+
+/// Live list of an account's orders, kept up to date from an Orders
+/// subscription.
+/**
+ * Zenith sends order changes in the same format as QueryOrders, with an
+ * operation code in the O member:
+ *
+ *  - 'A': Add.  Order is the new order.
+ *  - 'U': Update.  Order is the updated order (members not included are
+ *         unchanged.)
+ *  - 'R': Remove.  ID is the order to remove.
+ *  - 'C': Clear.  Remove all orders.
+ *
+ * Each order is given a simplified state (one of OrderTracker.STATES) based on
+ * its Status and ExecutedQuantity, and an event is emitted whenever this state
+ * changes.
+ *
+ * Events:
+ *  - 'change' (order, previous): An order was added or updated.  previous is
+ *      a copy of the order before the update, or undefined for a new order.
+ *  - One event per state, e.g. 'filled' (order, previous): An order has just
+ *      entered this state.
+ *  - 'remove' (order): An order was removed.
+ *  - 'clear': All orders were removed.
+ */
+class OrderTracker extends EventEmitter
+{
+	constructor(account) {
+		super();
+		this.account = account;
+		this.orders = new Map(); // order ID -> order
+	}
+
+	/// Apply changes received from the server.
+	/**
+	 * @param Array changes
+	 *   Order changes as sent by the server, or the result of
+	 *   trading_queryOrders().  A single change object is also accepted.
+	 */
+	apply(changes) {
+		if (!changes) return;
+		if (!(changes instanceof Array)) changes = [changes];
+		changes.forEach(d => {
+			switch (d.O) {
+				case 'A':
+				case 'U': {
+					if (!d.Order) break;
+					let order = this.orders.get(d.Order.ID);
+					let previous;
+					if (order) {
+						previous = Object.assign({}, order);
+						Object.assign(order, d.Order);
+					} else {
+						order = Object.assign({}, d.Order);
+						this.orders.set(order.ID, order);
+					}
+					let state = OrderTracker.getState(order);
+					this.emit('change', order, previous);
+					if (!previous || (OrderTracker.getState(previous) != state)) {
+						this.emit(state, order, previous);
+					}
+					break;
+				}
+				case 'R': {
+					let order = this.orders.get(d.ID);
+					if (!order) break;
+					this.orders.delete(d.ID);
+					this.emit('remove', order);
+					break;
+				}
+				case 'C':
+					this.orders.clear();
+					this.emit('clear');
+					break;
+				default:
+					// Unknown operation, ignore it
+					break;
+			}
+		});
+	}
+
+	/// Get an order by ID, or undefined if it's not known.
+	get(id) {
+		return this.orders.get(id);
+	}
+
+	/// Wait until an order reaches a terminal state.
+	/**
+	 * @param Number timeout
+	 *   Milliseconds to wait before giving up, or 0 (the default) to wait as
+	 *   long as it takes.
+	 *
+	 * @return Promise, fulfilled with the order once it has been filled,
+	 *   cancelled, rejected or has expired.  Rejected with a ZenithError with
+	 *   code REMOVED if the order is removed (or all orders are cleared)
+	 *   first, or a TimeoutError after timeout ms.  Has a cancel(err) function
+	 *   to stop waiting and reject with err.
+	 */
+	waitForTerminal(id, timeout = 0) {
+		let cancel;
+		let p = new Promise((fulfill, reject) => {
+			let timer;
+			let done = () => {
+				this.removeListener('change', check);
+				this.removeListener('remove', onRemove);
+				this.removeListener('clear', onClear);
+				if (timer) clearTimeout(timer);
+			};
+			let check = order => {
+				if (order.ID != id) return false;
+				if (!OrderTracker.isTerminal(order)) return false;
+				done();
+				fulfill(order);
+				return true;
+			};
+			let onRemove = order => {
+				if (order.ID == id) cancel(new ZenithError('REMOVED', 'Order ' + id + ' was removed'));
+			};
+			let onClear = () => cancel(new ZenithError('REMOVED', 'Orders were cleared'));
+			cancel = err => {
+				done();
+				reject(err);
+			};
+			let order = this.orders.get(id);
+			if (order && check(order)) return;
+			this.on('change', check);
+			this.on('remove', onRemove);
+			this.on('clear', onClear);
+			if (timeout > 0) {
+				timer = setTimeout(() => cancel(new ZenithError.TimeoutError('TIMEOUT',
+					'Order ' + id + ' not finished within ' + timeout + 'ms')), timeout);
+			}
+		});
+		p.cancel = cancel;
+		return p;
+	}
+
+	/// Work out which of OrderTracker.STATES an order is in.
+	static getState(order) {
+		let status = String(order.Status || '').toLowerCase();
+		switch (status) {
+			case 'rejected':
+				return 'rejected';
+			case 'cancelled':
+			case 'canceled':
+				return 'cancelled';
+			case 'expired':
+				return 'expired';
+			case 'filled':
+			case 'completed':
+				return 'filled';
+		}
+		let executed = order.ExecutedQuantity || 0;
+		let quantity = order.Details && order.Details.Quantity;
+		if (quantity && (executed >= quantity)) return 'filled';
+		if (executed > 0) return 'partiallyFilled';
+		return 'placed';
+	}
+
+	/// Check whether an order is in a state it will never leave.
+	static isTerminal(order) {
+		return TERMINAL_STATES.indexOf(OrderTracker.getState(order)) >= 0;
+	}
+};
+
+OrderTracker.STATES = STATES;
+OrderTracker.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = OrderTracker;
@@ -0,0 +1,733 @@
+'use strict';
+
+let EventEmitter = require('events');
+let OrderBuilder = require('./orderbuilder.js');
+
+/// Order types the simulator can fill.
+const TYPES = ['Market', 'MarketToLimit', 'Best', 'Limit'];
+
+/// Simulated broker, answering Trading requests locally instead of the server.
+/**
+ * Orders are filled against the market data received through the same
+ * connection, which can come from the real server, a ReplayTransport or a
+ * MockServer, or be fed in directly with applyTrade() and applyDepth() for a
+ * synthetic market.  Nothing is sent to the server's Trading controller, so
+ * no real orders are placed.  To use it:
+ *
+ *   let broker = new PaperBroker({ cash: 50000 });
+ *   let zenith = new ZenithWS(credentials, broker.options());
+ *
+ * after which trading_placeOrder(), trading_cancelOrder(),
+ * trading_amendOrder(), trading_queryOrders(), trading_queryHoldings(),
+ * trading_queryBalances(), trading_queryAccounts() and the Orders, Holdings
+ * and Balances subscriptions work as usual, for the one simulated account.
+ * When replaying a recording that includes Trading requests, set the
+ * ReplayTransport's waitForRequests option to false, as those requests never
+ * reach it.
+ *
+ * Matching:
+ *  - When an order is placed or amended, it trades against the opposite side
+ *    of the market depth, best price first.  Market orders take whatever is
+ *    there, Limit orders only prices at their limit or better, and Best (and
+ *    MarketToLimit) orders only the best price, with any remainder then
+ *    resting as a limit order at that price (or, with no price yet, at the
+ *    price it first trades at.)  Without any depth, the last trade price is
+ *    used, in any quantity.
+ *  - Orders left resting are filled by later trades in the market: Limit
+ *    orders at their limit price by trades at that price or better, and
+ *    Market orders at the trade price.  Each trade fills no more than its own
+ *    quantity across all orders.
+ *  - FillAndKill orders are cancelled after trading what they can, and
+ *    FillOrKill orders unless they can be filled completely.  UntilDate
+ *    orders expire at their ExpiryDate.
+ *
+ * Buy orders are rejected if they would cost more than the cash available,
+ * or if there is no price to value them at, and sell orders if the account
+ * doesn't hold enough units (no short selling.)  Market orders are valued at
+ * the best price, so if one trades deeper into the market than the cash
+ * allows, it is only filled as far as the cash goes and the rest cancelled.
+ * Cash is reserved for open buy orders and units for open sell orders.
+ * Balances are sent with Type 'Cash' (everything) and 'AvailableForTrade'
+ * (less what is reserved.)
+ *
+ * Events:
+ *  - 'order' (order): An order was placed or has changed.
+ *  - 'fill' (order, fill): Part or all of an order was filled.  fill is
+ *      { price, quantity, brokerage }.
+ */
+class PaperBroker extends EventEmitter
+{
+	/**
+	 * @param object options
+	 *   Optional, with members:
+	 *    - string account: Account ID to simulate.  Default 'PAPER'.
+	 *    - Number cash: Starting cash.  Default 100000.
+	 *    - string currency: Currency of the account.  Default 'AUD'.
+	 *    - mixed brokerage: Fee per order, either a function called as
+	 *      brokerage(value, order) with the total value filled so far, or an
+	 *      object with members rate (fraction of the value) and minimum.
+	 *      Default none.
+	 *    - bool subscribe: false to not subscribe to market data for the
+	 *      securities traded, when only applyTrade() and applyDepth() are
+	 *      used.  Default true.
+	 *    - Number delay: Milliseconds to wait before each response.  Default 0.
+	 */
+	constructor(options = {}) {
+		super();
+		this.account = options.account || 'PAPER';
+		this.cash = (options.cash === undefined) ? 100000 : options.cash;
+		this.currency = options.currency || 'AUD';
+		this.brokerage = options.brokerage || {};
+		this.subscribe = (options.subscribe !== false);
+		this.delay = options.delay || 0;
+
+		this.zenith = null;
+		this.orders = new Map(); // order ID -> order, as sent to the client
+		this.working = new Map(); // order ID -> { order, limit, reservePrice, value, brokerage, timer }
+		this.holdings = new Map(); // 'Code.Exchange' -> holding
+		this.books = new Map(); // 'Code.Exchange' -> OrderBook
+		this.lastPrices = new Map(); // 'Code.Exchange' -> last trade price
+		this.feeds = new Map(); // 'Code.Exchange' -> Promise, fulfilled once subscribed
+		this.subscribed = {}; // topics the client has subscribed to -> true
+		this.lastOrderID = 0;
+		this.brokeragePaid = 0; // total brokerage charged
+		this.realisedPL = 0; // profit/loss on units sold, after brokerage
+	}
+
+	/// Constructor options for ZenithWS to trade through this simulator.
+	options() {
+		return {
+			simulator: this,
+		};
+	}
+
+	/// Called by ZenithWS when it is created with this simulator.
+	attach(zenith) {
+		this.zenith = zenith;
+	}
+
+	/// Check whether a request is for the simulator rather than the server.
+	handles(msg) {
+		return msg.Controller == 'Trading';
+	}
+
+	/// Unsubscribe from market data and stop expiry timers.
+	stop() {
+		this.working.forEach(w => clearTimeout(w.timer));
+		this.feeds.forEach(feed => feed.then(subs => subs.forEach(sub => sub.unsubscribe())));
+		this.feeds.clear();
+	}
+
+	/// Deal with a request sent by the client.
+	receive(msg) {
+		// Not from within ZenithWS's send queue, as this may send more requests
+		Promise.resolve().then(() => this.onRequest(msg));
+	}
+
+	/*private*/ onRequest(msg) {
+		let base = msg.Topic.split('!')[0];
+		if (msg.Action == 'Unsub') {
+			delete this.subscribed[msg.Topic];
+			return;
+		}
+		if (msg.Action == 'Sub') {
+			let data = this.getSubscriptionData(base, msg.Topic.split('!')[1]);
+			if (data === undefined) {
+				this.reply(msg, 'Unknown topic: ' + msg.Topic, 'Error');
+				return;
+			}
+			this.subscribed[msg.Topic] = true;
+			this.send({
+				Controller: msg.Controller,
+				Topic: msg.Topic,
+				Action: 'Publish',
+				Data: data,
+			});
+			return;
+		}
+
+		let data = msg.Data || {};
+		if ((base != 'QueryAccounts') && (data.Account != this.account)) {
+			this.reply(msg, 'Unknown account: ' + data.Account, 'Error');
+			return;
+		}
+		switch (base) {
+			case 'QueryAccounts':
+				this.reply(msg, [{
+					ID: this.account,
+					Name: 'Paper trading',
+					Currency: this.currency,
+				}]);
+				break;
+			case 'QueryOrders':
+				this.reply(msg, Array.from(this.orders.values())
+					.filter(order => !data.OrderID || (order.ID == data.OrderID))
+					.map(order => ({ O: 'A', Order: order })));
+				break;
+			case 'QueryHoldings':
+				this.reply(msg, Array.from(this.holdings.values()));
+				break;
+			case 'QueryBalances':
+				this.reply(msg, this.getBalances());
+				break;
+			case 'PlaceOrder':
+				this.placeOrder(msg);
+				break;
+			case 'CancelOrder':
+				this.cancelOrder(msg);
+				break;
+			case 'AmendOrder':
+				this.amendOrder(msg);
+				break;
+			default:
+				this.reply(msg, 'Not supported by the paper trading simulator: '
+					+ msg.Topic, 'Error');
+				break;
+		}
+	}
+
+	/// Initial data for a subscription.
+	/**
+	 * @return Data, or undefined if the topic isn't known.
+	 */
+	/*private*/ getSubscriptionData(topic, account) {
+		if (account != this.account) return undefined;
+		switch (topic) {
+			case 'Orders':
+				return Array.from(this.orders.values()).map(order => ({ O: 'A', Order: order }));
+			case 'Holdings':
+				return Array.from(this.holdings.values()).map(holding => ({ O: 'A', Holding: holding }));
+			case 'Balances':
+				return this.getBalances();
+		}
+		return undefined;
+	}
+
+	/*private*/ placeOrder(msg) {
+		let data = msg.Data;
+		let details = data.Details || {};
+		try {
+			OrderBuilder.validate(data);
+		} catch (e) {
+			this.reply(msg, {
+				Result: 'Invalid',
+				Errors: e.errors,
+			});
+			return;
+		}
+		if (TYPES.indexOf(details.Type) < 0) {
+			this.reply(msg, {
+				Result: 'Invalid',
+				Errors: [details.Type + ' orders are not supported by the paper trading simulator'],
+			});
+			return;
+		}
+
+		this.watch(details.Exchange, details.Code).then(() => {
+			let now = new Date().toISOString();
+			let order = {
+				ID: 'paper-' + (++this.lastOrderID),
+				Account: data.Account,
+				Status: 'Placed',
+				Details: JSON.parse(JSON.stringify(details)),
+				Route: data.Route,
+				ExecutedQuantity: 0,
+				CreatedDate: now,
+				UpdatedDate: now,
+			};
+			let w = {
+				order: order,
+				limit: details.LimitPrice,
+				reservePrice: this.getPriceEstimate(order),
+				value: 0,
+				brokerage: 0,
+				timer: undefined,
+			};
+			let reason = this.checkFunds(w, details.Quantity);
+			if ((details.Side == 'Bid') && (w.limit === undefined) && !w.reservePrice) {
+				reason = 'No market price for ' + details.Code + '.' + details.Exchange
+					+ ' to value the order at';
+			}
+			if (reason) {
+				this.reply(msg, {
+					Result: 'Rejected',
+					Errors: [reason],
+				});
+				return;
+			}
+
+			this.orders.set(order.ID, order);
+			this.working.set(order.ID, w);
+			if (details.Side == 'Ask') {
+				this.getHolding(details).TotalAvailableQuantity -= details.Quantity;
+				this.publishHolding(details);
+			}
+			if (details.Validity == 'UntilDate') {
+				let wait = new Date(details.ExpiryDate).getTime() - Date.now();
+				w.timer = setTimeout(() => this.finish(w, 'Expired'), Math.max(0, wait));
+				if (w.timer.unref) w.timer.unref();
+			}
+			this.reply(msg, {
+				Result: 'Success',
+				Order: order,
+			});
+			this.publishOrder(order, 'A');
+			this.publishBalances();
+			this.matchDepth(w);
+		});
+	}
+
+	/*private*/ cancelOrder(msg) {
+		let w = this.working.get(msg.Data.Order);
+		if (!w) {
+			this.reply(msg, {
+				Result: 'Invalid',
+				Errors: [this.orders.has(msg.Data.Order) ? 'Order is no longer working'
+					: 'Unknown order: ' + msg.Data.Order],
+			});
+			return;
+		}
+		this.finish(w, 'Cancelled');
+		this.reply(msg, {
+			Result: 'Success',
+			Order: w.order,
+		});
+	}
+
+	/// Change the quantity or limit price of a working order.
+	/*private*/ amendOrder(msg) {
+		let data = msg.Data;
+		let w = this.working.get(data.Order);
+		if (!w) {
+			this.reply(msg, {
+				Result: 'Invalid',
+				Errors: [this.orders.has(data.Order) ? 'Order is no longer working'
+					: 'Unknown order: ' + data.Order],
+			});
+			return;
+		}
+		let order = w.order;
+		let details = Object.assign({}, order.Details, data.Details || {});
+		let errors = [];
+		['Exchange', 'Code', 'Side', 'Type'].forEach(field => {
+			if (details[field] != order.Details[field]) errors.push(field + ' cannot be changed');
+		});
+		if (!Number.isInteger(details.Quantity) || (details.Quantity <= order.ExecutedQuantity)) {
+			errors.push('Quantity must be a whole number more than the '
+				+ order.ExecutedQuantity + ' already filled');
+		}
+		if ((details.Type == 'Limit') && !(details.LimitPrice > 0)) {
+			errors.push('LimitPrice must be a positive number');
+		}
+		if (errors.length) {
+			this.reply(msg, {
+				Result: 'Invalid',
+				Errors: errors,
+			});
+			return;
+		}
+
+		let previous = {
+			details: order.Details,
+			limit: w.limit,
+		};
+		let extra = details.Quantity - order.Details.Quantity;
+		if ((details.Side == 'Ask') && (extra > 0)) {
+			let reason = this.checkFunds(w, extra);
+			if (reason) {
+				this.reply(msg, {
+					Result: 'Rejected',
+					Errors: [reason],
+				});
+				return;
+			}
+		}
+		order.Details = details;
+		if (details.Type == 'Limit') w.limit = details.LimitPrice;
+		if (details.Side == 'Bid') {
+			let reason = this.checkFunds(w, 0);
+			if (reason) {
+				order.Details = previous.details;
+				w.limit = previous.limit;
+				this.reply(msg, {
+					Result: 'Rejected',
+					Errors: [reason],
+				});
+				return;
+			}
+		} else if (extra != 0) {
+			this.getHolding(details).TotalAvailableQuantity -= extra;
+			this.publishHolding(details);
+		}
+		order.UpdatedDate = new Date().toISOString();
+		this.reply(msg, {
+			Result: 'Success',
+			Order: order,
+		});
+		this.publishOrder(order, 'U');
+		this.publishBalances();
+		this.matchDepth(w);
+	}
+
+	/// Check there is enough cash or stock for an order.
+	/**
+	 * @param Number quantity
+	 *   Units being added to a sell order, or for a buy order, anything (all
+	 *   working buy orders are checked.)
+	 *
+	 * @return Reason the order can't go ahead, or undefined if it can.
+	 */
+	/*private*/ checkFunds(w, quantity) {
+		let details = w.order.Details;
+		if (details.Side == 'Ask') {
+			let holding = this.holdings.get(details.Code + '.' + details.Exchange);
+			let available = holding ? holding.TotalAvailableQuantity : 0;
+			if (available < quantity) {
+				return 'Insufficient holdings: ' + available + ' units available to sell';
+			}
+			return undefined;
+		}
+		let needed = this.getReserved(w) + this.getReservation(w);
+		if (needed > this.cash + 1e-9) {
+			return 'Insufficient funds: ' + (this.cash - this.getReserved(w)).toFixed(2)
+				+ ' available';
+		}
+		return undefined;
+	}
+
+	/// Cash to hold back for a buy order's remaining quantity.
+	/*private*/ getReservation(w) {
+		let order = w.order;
+		let remaining = order.Details.Quantity - order.ExecutedQuantity;
+		let price = (w.limit !== undefined) ? w.limit : w.reservePrice;
+		if (!price || (remaining <= 0)) return 0;
+		let value = w.value + price * remaining;
+		return price * remaining + Math.max(0, this.getBrokerage(value, order) - w.brokerage);
+	}
+
+	/// Total cash held back for working buy orders, except one.
+	/*private*/ getReserved(except = undefined) {
+		let total = 0;
+		this.working.forEach(w => {
+			if ((w !== except) && (w.order.Details.Side == 'Bid')) total += this.getReservation(w);
+		});
+		return total;
+	}
+
+	/// Work out the brokerage for an order with this much filled.
+	getBrokerage(value, order) {
+		if (value <= 0) return 0;
+		if (this.brokerage instanceof Function) return this.brokerage(value, order);
+		return Math.max(this.brokerage.minimum || 0, value * (this.brokerage.rate || 0));
+	}
+
+	/// Guess what an order without a limit will trade at.
+	/*private*/ getPriceEstimate(order) {
+		let details = order.Details;
+		let key = details.Code + '.' + details.Exchange;
+		let book = this.books.get(key);
+		let best = book && ((details.Side == 'Bid') ? book.bestAsk() : book.bestBid());
+		if (best) return best.Price;
+		return this.lastPrices.get(key);
+	}
+
+	/// Subscribe to market data for a security, if not already.
+	/**
+	 * @return Promise, fulfilled once the initial data has arrived (or failed
+	 *   to.)
+	 */
+	/*private*/ watch(exchange, code) {
+		let key = code + '.' + exchange;
+		if (!this.subscribe || !this.zenith) return Promise.resolve();
+		if (!this.feeds.has(key)) {
+			let depth = this.zenith.sub_market_depth(exchange, code, book => {
+				this.applyDepth(exchange, code, book);
+			});
+			let trades = this.zenith.sub_market_trades(exchange, code, d => {
+				if (!d) return;
+				if (!(d instanceof Array)) d = [d];
+				d.forEach(op => {
+					if ((op.O == 'A') && op.Trade) this.applyTrade(exchange, code, op.Trade);
+				});
+			});
+			let subs = [depth, trades];
+			this.feeds.set(key, Promise.all(subs.map(sub => sub.then(
+				result => {
+					if (result && result.bids) this.applyDepth(exchange, code, result);
+				},
+				() => {} // no data, so orders only fill from applyTrade()
+			))).then(() => subs));
+		}
+		return this.feeds.get(key);
+	}
+
+	/// Use a new view of the market depth for a security.
+	/**
+	 * @param OrderBook book
+	 *   As from ZenithWS.sub_market_depth().  Only used for orders as they are
+	 *   placed or amended.
+	 */
+	applyDepth(exchange, code, book) {
+		this.books.set(code + '.' + exchange, book);
+	}
+
+	/// Fill resting orders from a trade in the market.
+	/**
+	 * @param object trade
+	 *   { Price, Quantity }, as from ZenithWS.sub_market_trades().
+	 */
+	applyTrade(exchange, code, trade) {
+		if (!(trade.Price > 0) || !(trade.Quantity > 0)) return;
+		this.lastPrices.set(code + '.' + exchange, trade.Price);
+		let left = trade.Quantity;
+		this.working.forEach(w => {
+			let details = w.order.Details;
+			if ((left <= 0) || (details.Exchange != exchange) || (details.Code != code)) return;
+			let price = trade.Price;
+			if (w.limit !== undefined) {
+				let crosses = (details.Side == 'Bid') ? (price <= w.limit) : (price >= w.limit);
+				if (!crosses) return;
+				price = w.limit;
+			}
+			let quantity = Math.min(left, details.Quantity - w.order.ExecutedQuantity);
+			left -= this.fill(w, price, quantity);
+		});
+	}
+
+	/// Trade a newly placed or amended order against the market depth.
+	/*private*/ matchDepth(w) {
+		let order = w.order;
+		let details = order.Details;
+		let key = details.Code + '.' + details.Exchange;
+		let book = this.books.get(key);
+		let levels = book ? ((details.Side == 'Bid') ? book.asks() : book.bids()) : [];
+		if (!levels.length && this.lastPrices.has(key)) {
+			levels = [{
+				Price: this.lastPrices.get(key),
+				Quantity: Infinity,
+			}];
+		}
+		if ((w.limit === undefined) && (details.Type != 'Market')) {
+			// Best and MarketToLimit only trade at the best price
+			levels = levels.slice(0, 1);
+			if (levels.length) w.limit = levels[0].Price;
+		}
+		if (w.limit !== undefined) {
+			levels = levels.filter(level => (details.Side == 'Bid')
+				? (level.Price <= w.limit) : (level.Price >= w.limit));
+		}
+
+		let remaining = details.Quantity - order.ExecutedQuantity;
+		if (details.Validity == 'FillOrKill') {
+			let available = levels.reduce((total, level) => total + level.Quantity, 0);
+			if (available < remaining) {
+				this.finish(w, 'Cancelled');
+				return;
+			}
+		}
+		levels.forEach(level => {
+			if ((remaining <= 0) || !this.working.has(order.ID)) return;
+			let quantity = Math.min(remaining, level.Quantity);
+			remaining -= this.fill(w, level.Price, quantity);
+		});
+		if ((remaining > 0) && (details.Validity == 'FillAndKill')) {
+			this.finish(w, 'Cancelled');
+		}
+	}
+
+	/// Fill part or all of an order, updating the holdings and cash.
+	/**
+	 * A buy order is only filled as far as the cash available allows, and the
+	 * rest of it cancelled.
+	 *
+	 * @return Number of units filled.
+	 */
+	/*private*/ fill(w, price, quantity) {
+		let order = w.order;
+		let details = order.Details;
+		let affordable = (details.Side == 'Bid') ? this.getAffordable(w, price) : quantity;
+		if (affordable < quantity) {
+			if (affordable > 0) this.fill(w, price, affordable);
+			this.finish(w, 'Cancelled');
+			return affordable;
+		}
+		if ((w.limit === undefined) && (details.Type != 'Market')) {
+			// Best and MarketToLimit orders rest at the price they first traded at
+			w.limit = price;
+		}
+		let value = price * quantity;
+		w.value += value;
+		order.ExecutedQuantity += quantity;
+		order.AveragePrice = w.value / order.ExecutedQuantity;
+		let brokerage = this.getBrokerage(w.value, order) - w.brokerage;
+		w.brokerage += brokerage;
+		this.brokeragePaid += brokerage;
+
+		let holding = this.getHolding(details);
+		if (details.Side == 'Bid') {
+			this.cash -= value + brokerage;
+			holding.TotalQuantity += quantity;
+			holding.TotalAvailableQuantity += quantity;
+			holding.Cost += value + brokerage;
+		} else {
+			let cost = holding.TotalQuantity ? holding.Cost * quantity / holding.TotalQuantity : 0;
+			this.cash += value - brokerage;
+			this.realisedPL += value - brokerage - cost;
+			holding.TotalQuantity -= quantity;
+			holding.Cost -= cost;
+		}
+		holding.AveragePrice = holding.TotalQuantity ? holding.Cost / holding.TotalQuantity : 0;
+
+		if (order.ExecutedQuantity >= details.Quantity) {
+			order.Status = 'Filled';
+			this.working.delete(order.ID);
+			clearTimeout(w.timer);
+		} else {
+			order.Status = 'PartiallyFilled';
+		}
+		order.UpdatedDate = new Date().toISOString();
+		this.publishOrder(order, 'U');
+		this.publishHolding(details);
+		this.publishBalances();
+		this.emit('fill', order, {
+			price: price,
+			quantity: quantity,
+			brokerage: brokerage,
+		});
+		return quantity;
+	}
+
+	/// Most units a buy order can be filled at a price with the cash available.
+	/*private*/ getAffordable(w, price) {
+		let available = this.cash - this.getReserved(w) + 1e-9;
+		let brokerage = quantity => Math.max(0,
+			this.getBrokerage(w.value + price * quantity, w.order) - w.brokerage);
+		let quantity = Math.max(0, Math.floor(available / price));
+		while ((quantity > 0) && (price * quantity + brokerage(quantity) > available)) {
+			quantity = Math.min(quantity - 1, Math.floor((available - brokerage(quantity)) / price));
+		}
+		return Math.max(0, quantity);
+	}
+
+	/// Take an order out of the market.
+	/**
+	 * @param string status
+	 *   'Cancelled' or 'Expired'.
+	 */
+	/*private*/ finish(w, status) {
+		let order = w.order;
+		let details = order.Details;
+		if (!this.working.delete(order.ID)) return;
+		clearTimeout(w.timer);
+		order.Status = status;
+		order.UpdatedDate = new Date().toISOString();
+		if (details.Side == 'Ask') {
+			this.getHolding(details).TotalAvailableQuantity += details.Quantity - order.ExecutedQuantity;
+			this.publishHolding(details);
+		}
+		this.publishOrder(order, 'U');
+		this.publishBalances();
+	}
+
+	/// Find or create the holding for a security.
+	/*private*/ getHolding(details) {
+		let key = details.Code + '.' + details.Exchange;
+		let holding = this.holdings.get(key);
+		if (!holding) {
+			holding = {
+				Exchange: details.Exchange,
+				Code: details.Code,
+				Account: this.account,
+				TotalQuantity: 0,
+				TotalAvailableQuantity: 0,
+				AveragePrice: 0,
+				Cost: 0,
+			};
+			this.holdings.set(key, holding);
+		}
+		return holding;
+	}
+
+	/*private*/ getBalances() {
+		return [{
+			Currency: this.currency,
+			Type: 'Cash',
+			Amount: this.cash,
+		}, {
+			Currency: this.currency,
+			Type: 'AvailableForTrade',
+			Amount: this.cash - this.getReserved(),
+		}];
+	}
+
+	/*private*/ publishOrder(order, op) {
+		this.publish('Orders', [{
+			O: op,
+			Order: order,
+		}]);
+		this.emit('order', order);
+	}
+
+	/// Send a holding's latest details, removing it once none are held.
+	/*private*/ publishHolding(details) {
+		let key = details.Code + '.' + details.Exchange;
+		let holding = this.holdings.get(key);
+		if (!holding) return;
+		if ((holding.TotalQuantity == 0) && (holding.TotalAvailableQuantity == 0)) {
+			this.holdings.delete(key);
+			this.publish('Holdings', [{
+				O: 'R',
+				Holding: holding,
+			}]);
+			return;
+		}
+		this.publish('Holdings', [{
+			O: 'U',
+			Holding: holding,
+		}]);
+	}
+
+	/*private*/ publishBalances() {
+		this.publish('Balances', this.getBalances());
+	}
+
+	/// Send an update to the client, if it is subscribed.
+	/*private*/ publish(topic, data) {
+		topic += '!' + this.account;
+		if (!this.subscribed[topic]) return;
+		this.send({
+			Controller: 'Trading',
+			Topic: topic,
+			Action: 'Publish',
+			Data: data,
+		});
+	}
+
+	/// Respond to a request.
+	/**
+	 * @param string action
+	 *   'Error' for an error response.
+	 */
+	/*private*/ reply(msg, data, action = undefined) {
+		let res = {
+			Controller: msg.Controller,
+			Topic: msg.Topic,
+			TransactionID: msg.TransactionID,
+			Data: data,
+		};
+		if (action) res.Action = action;
+		this.send(res);
+	}
+
+	/// Deliver a message to the client as if it came from the server.
+	/*private*/ send(msg) {
+		let data = JSON.stringify(msg); // as things are now, not when delivered
+		setTimeout(() => {
+			if (this.zenith) this.zenith.ws_onMessage(data);
+		}, this.delay);
+	}
+};
+
+PaperBroker.TYPES = TYPES;
+
+module.exports = PaperBroker;
@@ -0,0 +1,232 @@
+'use strict';
+
+let EventEmitter = require('events');
+
+/// Live valuation of an account's holdings and cash.
+/**
+ * Subscribes to the account's holdings and balances, and to the price of each
+ * security held, keeping the market value and unrealised profit/loss of each
+ * position up to date.
+ *
+ * Holdings are sent in the same format as QueryHoldings, with an operation
+ * code in the O member:
+ *
+ *  - 'A' or 'U': Holding is the new or updated holding.
+ *  - 'R': Holding (or the change itself) has the Exchange and Code of the
+ *         holding to remove.
+ *  - 'C': Remove all holdings.
+ *
+ * Balances are sent as { Currency, Type, Amount } records, either as-is or
+ * wrapped in the same way as holdings, i.e. { O: 'A', Balance: {...} }.
+ * Only those in the account's currency count as cash, see cashByCurrency()
+ * for the rest.
+ *
+ * Each position has these members:
+ *  - Exchange, Code: Security held.
+ *  - holding: Latest holding data from the server.
+ *  - price: Last traded price, or undefined if not known yet.
+ *  - cost: Total amount paid, from the holding's Cost or AveragePrice.
+ *  - marketValue: Quantity held at the last price.
+ *  - unrealisedPL: marketValue - cost.
+ *
+ * Events:
+ *  - 'position' (position): A position's holding or price has changed.
+ *  - 'remove' (position): A position was removed.
+ *  - 'cash' (amount): The cash available has changed.
+ *  - 'change' (portfolio): Anything has changed.
+ */
+class Portfolio extends EventEmitter
+{
+	/**
+	 * @param ZenithWS zenith
+	 *   Connection to subscribe through.
+	 *
+	 * @param string account
+	 *   Trading account ID.
+	 *
+	 * @param string cashType
+	 *   Balance Type that counts as cash available.
+	 */
+	constructor(zenith, account, cashType = 'AvailableForTrade') {
+		super();
+		this.zenith = zenith;
+		this.account = account;
+		this.cashType = cashType;
+		this.currency = undefined; // account's currency, set by start()
+		this.positions = new Map(); // 'Code.Exchange' -> position
+		this.balances = new Map(); // 'Currency:Type' -> balance
+		this.subs = [];
+		this.onHoldings = this.applyHoldings.bind(this);
+		this.onBalances = this.applyBalances.bind(this);
+	}
+
+	/// Subscribe to everything needed to value the portfolio.
+	/**
+	 * @return Promise, fulfilled once the account's currency and the initial
+	 *   holdings, balances and prices have been received.  Positions whose
+	 *   price can't be subscribed to are left without one.
+	 */
+	start() {
+		let account = this.zenith.trading_queryAccounts()
+			.then(accounts => {
+				let found = (accounts || []).find(a => a.ID == this.account);
+				this.currency = found && found.Currency;
+			});
+		let holdings = this.zenith.sub_trading_holdings(this.account, this.onHoldings);
+		let balances = this.zenith.sub_trading_balances(this.account, this.onBalances);
+		this.subs.push(holdings, balances);
+		return Promise.all([account, holdings, balances])
+			.then(() => Promise.all(
+				// No price, but still a position
+				Array.from(this.positions.values()).map(p => p.priceSub.catch(() => {}))
+			))
+			.then(() => this);
+	}
+
+	/// Unsubscribe from everything.
+	stop() {
+		this.subs.forEach(sub => sub.unsubscribe());
+		this.subs = [];
+		this.positions.forEach(position => position.priceSub.unsubscribe());
+	}
+
+	/// Apply holdings changes received from the server.
+	applyHoldings(changes) {
+		if (!changes) return;
+		if (!(changes instanceof Array)) changes = [changes];
+		changes.forEach(d => {
+			switch (d.O) {
+				case 'A':
+				case 'U':
+					if (d.Holding) this.setHolding(d.Holding);
+					break;
+				case 'R':
+					this.removePosition(d.Holding || d);
+					break;
+				case 'C':
+					this.positions.forEach(position => this.removePosition(position));
+					break;
+				default:
+					// Unknown operation, ignore it
+					break;
+			}
+		});
+	}
+
+	/// Apply balance changes received from the server.
+	applyBalances(changes) {
+		if (!changes) return;
+		if (!(changes instanceof Array)) changes = [changes];
+		let cash = this.cash();
+		changes.forEach(d => {
+			if (d.O == 'C') {
+				this.balances.clear();
+				return;
+			}
+			let balance = d.Balance || d;
+			let key = balance.Currency + ':' + balance.Type;
+			if (d.O == 'R') {
+				this.balances.delete(key);
+			} else {
+				this.balances.set(key, balance);
+			}
+		});
+		if (this.cash() != cash) this.emit('cash', this.cash());
+		this.emit('change', this);
+	}
+
+	/*private*/ setHolding(holding) {
+		let key = holding.Code + '.' + holding.Exchange;
+		let position = this.positions.get(key);
+		if (!position) {
+			position = {
+				Exchange: holding.Exchange,
+				Code: holding.Code,
+				price: undefined,
+			};
+			this.positions.set(key, position);
+			let onPrice = d => {
+				if (!d || (d.Last === undefined) || (d.Last === null)) return;
+				position.price = d.Last;
+				this.update(position);
+			};
+			position.priceSub = this.zenith.sub_market_security(holding.Exchange,
+				holding.Code, onPrice);
+			position.priceSub.catch(() => {}); // reported as a subscriptionError
+		}
+		position.holding = holding;
+		this.update(position);
+	}
+
+	/*private*/ removePosition(holding) {
+		let key = holding.Code + '.' + holding.Exchange;
+		let position = this.positions.get(key);
+		if (!position) return;
+		this.positions.delete(key);
+		position.priceSub.unsubscribe();
+		this.emit('remove', position);
+		this.emit('change', this);
+	}
+
+	/// Recalculate a position's value and notify listeners.
+	/*private*/ update(position) {
+		let holding = position.holding;
+		let quantity = holding.TotalQuantity || 0;
+		if (holding.Cost !== undefined) {
+			position.cost = holding.Cost;
+		} else {
+			position.cost = (holding.AveragePrice || 0) * quantity;
+		}
+		if (position.price === undefined) {
+			position.marketValue = undefined;
+			position.unrealisedPL = undefined;
+		} else {
+			position.marketValue = position.price * quantity;
+			position.unrealisedPL = position.marketValue - position.cost;
+		}
+		this.emit('position', position);
+		this.emit('change', this);
+	}
+
+	/// Cash available in the account's currency, or in every currency if the
+	/// account's currency isn't known.
+	cash() {
+		let byCurrency = this.cashByCurrency();
+		if (this.currency === undefined) {
+			return Object.keys(byCurrency).reduce((total, c) => total + byCurrency[c], 0);
+		}
+		return byCurrency[this.currency] || 0;
+	}
+
+	/// Cash available in each currency, as { currency: amount }.
+	cashByCurrency() {
+		let totals = {};
+		this.balances.forEach(balance => {
+			if (balance.Type != this.cashType) return;
+			totals[balance.Currency] = (totals[balance.Currency] || 0) + (balance.Amount || 0);
+		});
+		return totals;
+	}
+
+	/// Total market value of all positions with a known price.
+	marketValue() {
+		let total = 0;
+		this.positions.forEach(position => total += position.marketValue || 0);
+		return total;
+	}
+
+	/// Total unrealised profit/loss of all positions with a known price.
+	unrealisedPL() {
+		let total = 0;
+		this.positions.forEach(position => total += position.unrealisedPL || 0);
+		return total;
+	}
+
+	/// Market value of all positions plus cash available in the account's
+	/// currency.
+	totalValue() {
+		return this.marketValue() + this.cash();
+	}
+};
+
+module.exports = Portfolio;
@@ -0,0 +1,133 @@
+'use strict';
+
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let ZenithError = require('./error.js');
+
+/// Environment variables used for settings missing from the profile.
+const ENV_VARS = {
+	clientId: 'ZENITH_CLIENT_ID',
+	clientSecret: 'ZENITH_CLIENT_SECRET',
+	username: 'ZENITH_USERNAME',
+	password: 'ZENITH_PASSWORD',
+	environment: 'ZENITH_ENVIRONMENT',
+	exchange: 'ZENITH_EXCHANGE',
+	account: 'ZENITH_ACCOUNT',
+};
+
+/// Named sets of login details and defaults, usually kept in ~/.zenithrc.
+/**
+ * The file is JSON, e.g.
+ *
+ *   {
+ *     "default": "demo",
+ *     "profiles": {
+ *       "demo": {
+ *         "clientId": "...",
+ *         "clientSecret": "...",
+ *         "username": "...",
+ *         "environment": "staging",
+ *         "exchange": "ASX[Demo]",
+ *         "account": "12345[Demo]",
+ *         "risk": { "maxOrderValue": 50000 }
+ *       }
+ *     }
+ *   }
+ *
+ * Every setting is optional, and anything missing from the profile is taken
+ * from the environment variables in Profiles.ENV_VARS, e.g. ZENITH_PASSWORD.
+ * The profile to use can also be chosen with ZENITH_PROFILE.  Leaving the
+ * password out of the file is best, so it can be asked for instead.
+ */
+class Profiles
+{
+	/**
+	 * @param object profiles
+	 *   Profile name -> settings.
+	 *
+	 * @param string defaultName
+	 *   Profile to use when none is asked for.
+	 */
+	constructor(profiles = {}, defaultName = undefined) {
+		this.profiles = profiles;
+		this.defaultName = defaultName;
+		this.file = undefined; // where the profiles were loaded from
+		this.insecure = false; // true if the file has passwords others can read
+	}
+
+	/// Load profiles from a file.
+	/**
+	 * A missing file is not an error, there are just no profiles.
+	 *
+	 * @throw ZenithError with code BADCONFIG if the file can't be understood.
+	 */
+	static load(file = Profiles.DEFAULT_FILE) {
+		let text;
+		try {
+			text = fs.readFileSync(file, 'utf8');
+		} catch (e) {
+			if (e.code == 'ENOENT') return new Profiles();
+			throw new ZenithError('BADCONFIG', 'Unable to read ' + file + ': ' + e.message);
+		}
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (e) {
+			throw new ZenithError('BADCONFIG', 'Unable to parse ' + file + ': ' + e.message);
+		}
+		let profiles = new Profiles(data.profiles || {}, data.default);
+		profiles.file = file;
+		let hasPassword = Object.keys(profiles.profiles)
+			.some(name => profiles.profiles[name].password !== undefined);
+		if (hasPassword && (process.platform != 'win32')) {
+			profiles.insecure = (fs.statSync(file).mode & 0o077) != 0;
+		}
+		return profiles;
+	}
+
+	/// List the profile names.
+	names() {
+		return Object.keys(this.profiles);
+	}
+
+	/// Get the settings for a profile, filled in from the environment.
+	/**
+	 * @param string name
+	 *   Profile to use.  If omitted, ZENITH_PROFILE or the file's default is
+	 *   used, and if there is neither then settings only come from the
+	 *   environment.
+	 *
+	 * @param object env
+	 *   Environment variables, defaults to process.env.
+	 *
+	 * @return object with members clientId, clientSecret, username, password,
+	 *   environment, exchange and account, any of which may be undefined,
+	 *   and risk, the profile's limits for a RiskManager if it has any.
+	 *
+	 * @throw ZenithError with code NOPROFILE if the profile doesn't exist.
+	 */
+	get(name = undefined, env = process.env) {
+		if (name === undefined) name = env.ZENITH_PROFILE || this.defaultName;
+		let profile = {};
+		if (name !== undefined) {
+			profile = this.profiles[name];
+			if (!profile) {
+				throw new ZenithError('NOPROFILE', 'No such profile: ' + name);
+			}
+		}
+		let settings = {};
+		Object.keys(ENV_VARS).forEach(key => {
+			let value = profile[key];
+			if (value === undefined) value = env[ENV_VARS[key]];
+			settings[key] = value;
+		});
+		settings.risk = profile.risk;
+		return settings;
+	}
+};
+
+Profiles.DEFAULT_FILE = path.join(os.homedir(), '.zenithrc');
+Profiles.ENV_VARS = ENV_VARS;
+
+module.exports = Profiles;
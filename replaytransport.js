@@ -0,0 +1,222 @@
+'use strict';
+
+let EventEmitter = require('events');
+let fs = require('fs');
+
+/// WebSocket readyState values.
+const OPEN = 1;
+const CLOSED = 3;
+
+/// Plays back a recorded session in place of a connection to Zenith.
+/**
+ * A recording is the JSON lines written to ZenithWS.traceStream, one
+ * { time, direction, message } record for each message sent ('out') or
+ * received ('in').  To record a session:
+ *
+ *   zenith.traceStream = fs.createWriteStream('session.jsonl');
+ *
+ * To play it back, connect through the transport instead of the network:
+ *
+ *   let replay = ReplayTransport.fromFile('session.jsonl', { speed: 10 });
+ *   let zenith = new ZenithWS(credentials, replay.options());
+ *
+ * Received messages are fed back through ZenithWS with the same gaps between
+ * them as when they were recorded, divided by the speed.  When playback
+ * reaches a recorded request, it waits until the client sends a request with
+ * the same Controller, Topic and Action, so responses arrive in the same
+ * order as they originally did.  The TransactionID of each response is
+ * changed to match the client's request.
+ *
+ * Events:
+ *  - 'message' (msg): A recorded message has been delivered to the client.
+ *  - 'end': Everything has been played back.  The connection stays open
+ *      until the client disconnects.
+ */
+class ReplayTransport extends EventEmitter
+{
+	/**
+	 * @param mixed recording
+	 *   Array of records, or a string of JSON lines.
+	 *
+	 * @param object options
+	 *   Optional, with members:
+	 *    - Number speed: How many times faster than real time to play back, or
+	 *      Infinity for as fast as possible.  Default 1.
+	 *    - bool waitForRequests: false to skip recorded requests instead of
+	 *      waiting for them, e.g. to feed recorded market data to different
+	 *      code than made the recording.  Responses to calls are then ignored
+	 *      by the client.  Default true.
+	 */
+	constructor(recording, options = {}) {
+		super();
+		if (typeof recording == 'string') {
+			recording = recording.split('\n')
+				.filter(line => line.trim().length > 0)
+				.map(line => JSON.parse(line));
+		}
+		this.records = recording;
+		this.speed = options.speed || 1;
+		this.waitForRequests = (options.waitForRequests !== false);
+		this.position = 0; // index of the next record to play back
+		this.lastTime = undefined; // recorded time of the previous record
+		this.sent = []; // client requests not yet matched to recorded ones
+		this.transactionIDs = {}; // recorded TransactionID -> client's
+		this.socket = null;
+		this.timer = undefined;
+		this.ended = false;
+	}
+
+	/// Load a recording from a file.
+	static fromFile(path, options = {}) {
+		return new ReplayTransport(fs.readFileSync(path, 'utf8'), options);
+	}
+
+	/// Constructor options for ZenithWS to connect through this transport.
+	/**
+	 * Combine with any other options, e.g.
+	 *   Object.assign({ timeouts: ... }, replay.options())
+	 */
+	options() {
+		return {
+			createWebSocket: this.createWebSocket.bind(this),
+			createOAuthClient: this.createOAuthClient.bind(this),
+		};
+	}
+
+	/// Stand in for an OAuth client, handing out a token that never expires.
+	createOAuthClient(settings) {
+		let token = {
+			accessToken: 'replay',
+			data: {
+				expires_in: 3600,
+			},
+			sign: options => {
+				options.headers = options.headers || {};
+				options.headers.Authorization = 'Bearer ' + token.accessToken;
+				return options;
+			},
+			expired: () => false,
+			refresh: () => Promise.resolve(token),
+		};
+		return {
+			owner: {
+				getToken: () => Promise.resolve(token),
+			},
+		};
+	}
+
+	/// Stand in for a WebSocket, following the ws module's interface.
+	/**
+	 * Playback starts once the socket has opened, and carries on where it
+	 * left off if the client reconnects.
+	 */
+	createWebSocket(url, protocol, options) {
+		let socket = new EventEmitter();
+		socket.OPEN = OPEN;
+		socket.CLOSED = CLOSED;
+		socket.readyState = 0;
+		socket.send = (data, cb) => {
+			if (socket.readyState != OPEN) {
+				let err = new Error('WebSocket is not open');
+				if (!cb) throw err;
+				cb(err);
+				return;
+			}
+			this.onRequest(JSON.parse(data));
+			if (cb) cb();
+		};
+		socket.close = () => {
+			if (socket.readyState == CLOSED) return;
+			socket.readyState = CLOSED;
+			if (this.socket === socket) {
+				this.socket = null;
+				if (this.timer) clearTimeout(this.timer);
+				this.timer = undefined;
+			}
+			setTimeout(() => socket.emit('close', 1000, ''), 0);
+		};
+		socket.ping = () => {};
+		socket.pong = () => {};
+
+		if (this.socket) this.socket.close();
+		this.socket = socket;
+		setTimeout(() => {
+			if (socket.readyState != 0) return; // closed already
+			socket.readyState = OPEN;
+			socket.emit('open');
+			this.play();
+		}, 0);
+		return socket;
+	}
+
+	/// Deal with a request sent by the client.
+	/*private*/ onRequest(msg) {
+		this.sent.push(msg);
+		this.play(); // in case we were waiting for it
+	}
+
+	/// Play back records until the next received message is due.
+	/*private*/ play() {
+		if (this.timer || !this.socket || (this.socket.readyState != OPEN)) return;
+		while (this.position < this.records.length) {
+			let record = this.records[this.position];
+			if (record.direction == 'out') {
+				if (!this.matchRequest(record.message) && this.waitForRequests) {
+					return; // carry on once the client sends it
+				}
+				this.lastTime = record.time;
+				this.position++;
+				continue;
+			}
+
+			this.timer = setTimeout(() => {
+				this.timer = undefined;
+				this.lastTime = record.time;
+				this.position++;
+				this.deliver(record.message);
+				this.play();
+			}, this.getDelay(record));
+			return;
+		}
+		if (!this.ended) {
+			this.ended = true;
+			this.emit('end');
+		}
+	}
+
+	/// Work out how long to wait before delivering a record.
+	/*private*/ getDelay(record) {
+		if ((this.lastTime === undefined) || !isFinite(this.speed)) return 0;
+		let gap = new Date(record.time).getTime() - new Date(this.lastTime).getTime();
+		return Math.max(0, gap / this.speed);
+	}
+
+	/// Find a client request matching a recorded one, and note its ID.
+	/**
+	 * @return true if the client has sent the request.
+	 */
+	/*private*/ matchRequest(recorded) {
+		let index = this.sent.findIndex(msg => (msg.Controller == recorded.Controller)
+			&& (msg.Topic == recorded.Topic)
+			&& (msg.Action == recorded.Action)
+		);
+		if (index < 0) return false;
+		let msg = this.sent.splice(index, 1)[0];
+		if (recorded.TransactionID) {
+			this.transactionIDs[recorded.TransactionID] = msg.TransactionID;
+		}
+		return true;
+	}
+
+	/// Send a recorded message to the client.
+	/*private*/ deliver(recorded) {
+		let msg = Object.assign({}, recorded);
+		if (msg.TransactionID && this.transactionIDs[msg.TransactionID]) {
+			msg.TransactionID = this.transactionIDs[msg.TransactionID];
+		}
+		this.socket.emit('message', JSON.stringify(msg));
+		this.emit('message', msg);
+	}
+};
+
+module.exports = ReplayTransport;
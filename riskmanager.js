@@ -0,0 +1,384 @@
+'use strict';
+
+let EventEmitter = require('events');
+let ZenithError = require('./error.js');
+let OrderTracker = require('./ordertracker.js');
+
+/// Codes of the RiskErrors an order can be stopped with.
+const CODES = [
+	'KILL_SWITCH', // kill() has been called
+	'BAD_QUANTITY', // quantity missing, not a number or not positive
+	'MAX_ORDER_QUANTITY', // more units than maxOrderQuantity
+	'MAX_ORDER_VALUE', // worth more than maxOrderValue
+	'MAX_POSITION', // would take a security's position over maxPosition
+	'MAX_ACCOUNT_VALUE', // would take an account's positions over maxAccountValue
+	'MAX_DAILY_TURNOVER', // would take today's orders over maxDailyTurnover
+	'DUPLICATE_ORDER', // same as another order within duplicateWindow
+	'NO_PRICE', // no price (or a bad one) to value the order with
+];
+
+/// Pre-trade checks applied to orders before they are sent.
+/**
+ * Passed to ZenithWS as the risk option, after which every order placed with
+ * trading_placeOrder() is checked first, and rejected with a RiskError
+ * (without anything being sent) if it breaks any of the limits.  Amendments
+ * through trading_amendOrder() are checked in the same way, apart from the
+ * turnover and duplicate checks.
+ *
+ *   let risk = new RiskManager({ maxOrderValue: 50000, duplicateWindow: 2000 });
+ *   let zenith = new ZenithWS(credentials, { risk: risk });
+ *
+ * Orders are valued at their LimitPrice, or if they don't have one, at the
+ * price from the getPrice option, which by default asks the server for the
+ * security's best opposite price or last trade.
+ *
+ * Position limits apply to buy orders, and count what is held plus the
+ * remaining quantity of open buy orders, queried from the server when each
+ * order is checked, plus orders that have passed the checks but not yet been
+ * accepted by the server.  Orders are checked one at a time, so orders placed
+ * together can't all slip under a limit.  Open orders are valued at their
+ * limit price (or average price so far), and holdings at cost.
+ *
+ * The daily turnover is the total value of orders placed through this
+ * RiskManager since midnight, local time, in every account.  Orders the server
+ * doesn't accept are taken off again, as is the unfilled part of orders
+ * placed with waitForCompletion that end up cancelled, rejected or expired.
+ *
+ * kill() stops any more orders being placed, and cancels every open order in
+ * every account, until resume() is called.
+ *
+ * Events:
+ *  - 'violation' (err, order): An order was stopped.  err is the RiskError it
+ *      was rejected with.
+ *  - 'kill' (reason): The kill switch has been thrown.
+ *  - 'cancel' (account, order): An open order was cancelled by kill().
+ *  - 'cancelFailed' (err, account, order): Unable to cancel an open order.
+ *  - 'resume': Orders are allowed again.
+ */
+class RiskManager extends EventEmitter
+{
+	/**
+	 * @param object limits
+	 *   Optional, with members (leave any out for no limit):
+	 *    - Number maxOrderQuantity: Most units in one order.
+	 *    - Number maxOrderValue: Most value of one order.
+	 *    - mixed maxPosition: Most units to hold of any one security, or an
+	 *      object of 'Code.Exchange' -> units, e.g. { 'BHP.ASX': 1000 }, where
+	 *      a 'default' member applies to anything not listed.
+	 *    - Number maxAccountValue: Most value to hold in one account.
+	 *    - Number maxDailyTurnover: Most value of orders to place in a day.
+	 *    - Number duplicateWindow: Milliseconds within which an order for the
+	 *      same account, security, side, quantity and price is rejected as a
+	 *      duplicate.  Default 0 (not checked.)
+	 *    - function getPrice(details): Price to value an order without a
+	 *      LimitPrice at.  May return a Promise.
+	 */
+	constructor(limits = {}) {
+		super();
+		this.limits = Object.assign({ duplicateWindow: 0 }, limits);
+		this.getPrice = limits.getPrice || this.getMarketPrice.bind(this);
+		delete this.limits.getPrice;
+
+		this.zenith = null;
+		this.killed = false;
+		this.killReason = undefined;
+		this.day = undefined; // date the turnover is for, see getTurnover()
+		this.turnover = 0; // value of orders placed today
+		this.recent = []; // { order, key, time } placed within duplicateWindow
+		this.counted = new WeakMap(); // order -> value counted in turnover
+		this.inFlight = new Map(); // order -> value, passed but not yet accepted
+		this.checking = Promise.resolve(); // end of the queue of checks
+	}
+
+	/// Called by ZenithWS when it is created with this RiskManager.
+	attach(zenith) {
+		this.zenith = zenith;
+	}
+
+	/// Check a new order, and count it towards the limits if it is allowed.
+	/**
+	 * @param object order
+	 *   Order as passed to trading_placeOrder(), with Account and Details.
+	 *
+	 * @return Promise, fulfilled if the order can be placed, otherwise
+	 *   rejected with a RiskError.
+	 */
+	check(order) {
+		let details = order.Details || {};
+		// All in the queue, so the next order's checks see this one in flight
+		return this.queue(() => this.evaluate(order, undefined)
+			.then(value => {
+				let now = Date.now();
+				let key = this.getKey(order.Account, details);
+				this.recent = this.recent.filter(r => now - r.time < this.limits.duplicateWindow);
+				if (this.recent.some(r => r.key == key)) {
+					throw this.violation('DUPLICATE_ORDER', 'Same order placed within the last '
+						+ this.limits.duplicateWindow + 'ms', order);
+				}
+				let turnover = this.getTurnover() + (value || 0);
+				if (turnover > this.limits.maxDailyTurnover) {
+					throw this.violation('MAX_DAILY_TURNOVER', 'Order would take turnover to '
+						+ turnover + ', over the daily limit of ' + this.limits.maxDailyTurnover,
+						order, this.limits.maxDailyTurnover, turnover);
+				}
+				this.turnover = turnover;
+				if (this.limits.duplicateWindow > 0) {
+					this.recent.push({
+						order: order,
+						key: key,
+						time: now,
+					});
+				}
+				this.counted.set(order, value || 0);
+				this.inFlight.set(order, value || 0);
+			}));
+	}
+
+	/// Check the new details of an order being amended.
+	/**
+	 * @return Promise, fulfilled if the amendment can be sent, otherwise
+	 *   rejected with a RiskError.
+	 */
+	checkAmend(account, orderID, details) {
+		let amendment = {
+			Account: account,
+			Order: orderID,
+			Details: details,
+		};
+		return this.queue(() => this.evaluate(amendment, orderID)).then(() => {});
+	}
+
+	/// Note that the server has accepted an order passed by check(), so it is
+	/// among the account's orders from now on.
+	placed(order) {
+		this.inFlight.delete(order);
+	}
+
+	/// Take an order passed by check() off the limits again, because the server
+	/// didn't accept it, or it ended without being filled completely.
+	/**
+	 * @param Number filled
+	 *   Units that were filled, which still count towards the turnover.
+	 */
+	release(order, filled = 0) {
+		this.inFlight.delete(order);
+		if (this.counted.has(order)) {
+			let quantity = Number((order.Details || {}).Quantity);
+			let unfilled = (filled > 0) ? Math.max(0, 1 - filled / quantity) : 1;
+			this.turnover = Math.max(0, this.turnover - this.counted.get(order) * unfilled);
+			this.counted.delete(order);
+		}
+		if (!(filled > 0)) this.recent = this.recent.filter(r => r.order !== order);
+	}
+
+	/// Throw the kill switch: Reject all new orders and cancel every open one.
+	/**
+	 * @param string reason
+	 *   Why, passed on to the 'kill' event and used in RiskErrors.
+	 *
+	 * @return Promise, fulfilled with { account, order, error } for each open
+	 *   order found, where error is set if it could not be cancelled.  Rejected
+	 *   if the accounts or orders could not be listed.
+	 */
+	kill(reason = 'Kill switch active') {
+		this.killed = true;
+		this.killReason = reason;
+		this.emit('kill', reason);
+		if (!this.zenith) return Promise.resolve([]);
+		return this.zenith.trading_queryAccounts()
+			.then(accounts => Promise.all((accounts || []).map(a => this.cancelAll(a.ID))))
+			.then(results => [].concat(...results));
+	}
+
+	/// Allow orders again after kill().
+	resume() {
+		if (!this.killed) return;
+		this.killed = false;
+		this.killReason = undefined;
+		this.emit('resume');
+	}
+
+	/// Value of the orders placed today so far.
+	getTurnover() {
+		let day = new Date().toDateString();
+		if (day != this.day) {
+			this.day = day;
+			this.turnover = 0;
+		}
+		return this.turnover;
+	}
+
+	/// Run checks one after another, so each sees the orders passed before it.
+	/*private*/ queue(fn) {
+		let result = this.checking.then(fn);
+		this.checking = result.catch(() => {});
+		return result;
+	}
+
+	/// Apply every check except the duplicate and turnover ones.
+	/**
+	 * @return Promise, fulfilled with the value of the order, or undefined if
+	 *   it wasn't needed.
+	 */
+	/*private*/ evaluate(order, excludeOrder) {
+		let details = order.Details || {};
+		if (this.killed) {
+			return Promise.reject(this.violation('KILL_SWITCH', this.killReason, order));
+		}
+		let limits = this.limits;
+		let quantity = Number(details.Quantity);
+		if (!isFinite(quantity) || (quantity <= 0)) {
+			return Promise.reject(this.violation('BAD_QUANTITY', 'Order quantity must be a'
+				+ ' positive number, not ' + JSON.stringify(details.Quantity), order));
+		}
+		if (quantity > limits.maxOrderQuantity) {
+			return Promise.reject(this.violation('MAX_ORDER_QUANTITY', 'Order quantity '
+				+ quantity + ' is over the limit of ' + limits.maxOrderQuantity,
+				order, limits.maxOrderQuantity, quantity));
+		}
+
+		let needValue = (limits.maxOrderValue !== undefined)
+			|| (limits.maxDailyTurnover !== undefined)
+			|| ((limits.maxAccountValue !== undefined) && (details.Side == 'Bid'));
+		let price = needValue ? this.getOrderPrice(details) : Promise.resolve(undefined);
+		let value;
+		return price
+			.then(price => {
+				if (needValue) value = this.getValue(order, price, quantity);
+				if (details.Side == 'Bid') return this.checkPositions(order, value, excludeOrder);
+			})
+			.then(() => value);
+	}
+
+	/// Value an order at a price, checking it against maxOrderValue.
+	/*private*/ getValue(order, price, quantity) {
+		let details = order.Details;
+		let limits = this.limits;
+		if (!(price > 0) || !isFinite(price)) {
+			throw this.violation('NO_PRICE', 'No price for ' + details.Code + '.'
+				+ details.Exchange + ' to value the order at', order);
+		}
+		let value = price * quantity;
+		if (value > limits.maxOrderValue) {
+			throw this.violation('MAX_ORDER_VALUE', 'Order value ' + value
+				+ ' is over the limit of ' + limits.maxOrderValue,
+				order, limits.maxOrderValue, value);
+		}
+		return value;
+	}
+
+	/// Check the position limits for a buy order.
+	/*private*/ checkPositions(order, value, excludeOrder) {
+		let details = order.Details;
+		let symbol = details.Code + '.' + details.Exchange;
+		let maxPosition = this.limits.maxPosition;
+		if ((maxPosition !== null) && (typeof maxPosition == 'object')) {
+			maxPosition = (symbol in maxPosition) ? maxPosition[symbol] : maxPosition.default;
+		}
+		let maxAccountValue = this.limits.maxAccountValue;
+		if ((maxPosition === undefined) && (maxAccountValue === undefined)) return;
+		if (!this.zenith) return;
+
+		// Orders accepted after this may not be in the server's answer
+		let inFlight = new Map(this.inFlight);
+		return Promise.all([
+			this.zenith.trading_queryHoldings(order.Account),
+			this.zenith.trading_queryOrders(order.Account),
+		]).then(results => {
+			let units = Number(details.Quantity);
+			let total = value || 0;
+			(results[0] || []).forEach(d => {
+				let holding = d.Holding || d;
+				let quantity = Number(holding.TotalQuantity) || 0;
+				if ((holding.Code + '.' + holding.Exchange) == symbol) units += quantity;
+				total += (holding.Cost !== undefined) ? Number(holding.Cost)
+					: quantity * (Number(holding.AveragePrice) || 0);
+			});
+			(results[1] || []).forEach(d => {
+				let open = d.Order;
+				if (!open || (open.ID == excludeOrder) || OrderTracker.isTerminal(open)) return;
+				let openDetails = open.Details || {};
+				if (openDetails.Side != 'Bid') return;
+				let remaining = Number(openDetails.Quantity) - (Number(open.ExecutedQuantity) || 0);
+				if ((openDetails.Code + '.' + openDetails.Exchange) == symbol) units += remaining;
+				total += remaining
+					* (Number(openDetails.LimitPrice) || Number(open.AveragePrice) || 0);
+			});
+			inFlight.forEach((inFlightValue, other) => {
+				let otherDetails = other.Details || {};
+				if ((other === order) || (other.Account != order.Account)
+					|| (otherDetails.Side != 'Bid')) {
+					return;
+				}
+				if ((otherDetails.Code + '.' + otherDetails.Exchange) == symbol) {
+					units += Number(otherDetails.Quantity);
+				}
+				total += inFlightValue;
+			});
+			if (units > maxPosition) {
+				throw this.violation('MAX_POSITION', 'Order would take the position in '
+					+ symbol + ' to ' + units + ' units, over the limit of ' + maxPosition,
+					order, maxPosition, units);
+			}
+			if (total > maxAccountValue) {
+				throw this.violation('MAX_ACCOUNT_VALUE', 'Order would take the value of '
+					+ order.Account + ' to ' + total + ', over the limit of '
+					+ maxAccountValue, order, maxAccountValue, total);
+			}
+		});
+	}
+
+	/// Price to value an order at.
+	/*private*/ getOrderPrice(details) {
+		if (details.LimitPrice !== undefined) return Promise.resolve(Number(details.LimitPrice));
+		return Promise.resolve(this.getPrice(details)).then(Number);
+	}
+
+	/// Default getPrice option: The best opposite price, or the last trade.
+	/*private*/ getMarketPrice(details) {
+		if (!this.zenith) return undefined;
+		return this.zenith.market_querySecurity(details.Exchange, details.Code)
+			.then(security => {
+				let best = (details.Side == 'Bid') ? security.BestAsk : security.BestBid;
+				return best || security.Last;
+			});
+	}
+
+	/// Cancel every open order in an account.
+	/*private*/ cancelAll(account) {
+		return this.zenith.trading_queryOrders(account).then(orders => Promise.all(
+			(orders || [])
+				.filter(d => d.Order && !OrderTracker.isTerminal(d.Order))
+				.map(d => this.zenith.trading_cancelOrder(account, d.Order.ID)
+					.then(() => {
+						this.emit('cancel', account, d.Order);
+						return { account: account, order: d.Order.ID };
+					}, err => {
+						this.emit('cancelFailed', err, account, d.Order);
+						return { account: account, order: d.Order.ID, error: err };
+					}))
+		));
+	}
+
+	/// What makes two orders duplicates of each other.
+	/*private*/ getKey(account, details) {
+		return [account, details.Exchange, details.Code, details.Side, details.Quantity,
+			details.LimitPrice, details.TriggerPrice].join('|');
+	}
+
+	/// Create a RiskError and emit the 'violation' event for it.
+	/*private*/ violation(code, message, order, limit = undefined, value = undefined) {
+		let err = new ZenithError.RiskError(code, message, {
+			errors: [message],
+			request: order,
+			limit: limit,
+			value: value,
+		});
+		this.emit('violation', err, order);
+		return err;
+	}
+};
+
+RiskManager.CODES = CODES;
+
+module.exports = RiskManager;
@@ -0,0 +1,137 @@
+'use strict';
+
+/// Priorities items can be queued with, most urgent first.
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/// Outgoing messages waiting to be sent.
+/**
+ * Items are sent in priority order, oldest first within each priority, and
+ * no more than rateLimit of them in any one second.  Anything that can go
+ * straight away is sent from within push().
+ *
+ * While paused (e.g. while disconnected) items are kept until resume() is
+ * called.  The queue itself never discards anything, so it is up to the
+ * caller to remove() items that have waited too long.
+ */
+class SendQueue
+{
+	/**
+	 * @param function send
+	 *   Called with each item when it is time to send it.
+	 *
+	 * @param Number rateLimit
+	 *   Most items to send in any one second, or 0 for no limit.  May be
+	 *   changed at any time.
+	 */
+	constructor(send, rateLimit = 0) {
+		this.send = send;
+		this.rateLimit = rateLimit;
+		this.paused = false;
+		this.items = {}; // priority -> items, oldest first
+		PRIORITIES.forEach(p => this.items[p] = []);
+		this.sentTimes = []; // when recent items were sent, oldest first
+		this.timer = undefined;
+	}
+
+	/// Number of items waiting to be sent.
+	get length() {
+		return PRIORITIES.reduce((total, p) => total + this.items[p].length, 0);
+	}
+
+	/// Add an item, sending it now if possible.
+	/**
+	 * @param string priority
+	 *   One of SendQueue.PRIORITIES.
+	 */
+	push(item, priority = 'normal') {
+		if (!this.items[priority]) priority = 'normal';
+		this.items[priority].push(item);
+		this.flush();
+	}
+
+	/// Check whether an item is still waiting to be sent.
+	has(item) {
+		return PRIORITIES.some(p => this.items[p].indexOf(item) >= 0);
+	}
+
+	/// Remove an item that has not been sent yet.
+	/**
+	 * @return true if the item was removed, false if it wasn't in the queue.
+	 */
+	remove(item) {
+		return PRIORITIES.some(p => {
+			let index = this.items[p].indexOf(item);
+			if (index < 0) return false;
+			this.items[p].splice(index, 1);
+			return true;
+		});
+	}
+
+	/// Remove items without sending them.
+	/**
+	 * @param function filter
+	 *   Called with each item, return true to remove it.  If omitted,
+	 *   everything is removed.
+	 *
+	 * @return Array of the items removed.
+	 */
+	clear(filter = undefined) {
+		let removed = [];
+		PRIORITIES.forEach(p => {
+			this.items[p] = this.items[p].filter(item => {
+				if (filter && !filter(item)) return true;
+				removed.push(item);
+				return false;
+			});
+		});
+		return removed;
+	}
+
+	/// Stop sending items until resume() is called.
+	pause() {
+		this.paused = true;
+		if (this.timer) clearTimeout(this.timer);
+		this.timer = undefined;
+	}
+
+	/// Send everything that was queued while paused.
+	resume() {
+		this.paused = false;
+		this.flush();
+	}
+
+	/// Send as many items as the rate limit allows, and schedule the rest.
+	/*private*/ flush() {
+		if (this.paused || this.timer) return;
+		for (;;) {
+			let priority = PRIORITIES.find(p => this.items[p].length > 0);
+			if (!priority) return;
+			let wait = this.getDelay();
+			if (wait > 0) {
+				this.timer = setTimeout(() => {
+					this.timer = undefined;
+					this.flush();
+				}, wait);
+				return;
+			}
+			if (this.rateLimit) this.sentTimes.push(Date.now());
+			this.send(this.items[priority].shift());
+			if (this.paused || this.timer) return; // changed by send()
+		}
+	}
+
+	/// Work out how long until the rate limit allows another item to be sent.
+	/*private*/ getDelay() {
+		if (!this.rateLimit) return 0;
+		let now = Date.now();
+		while (this.sentTimes.length && (this.sentTimes[0] <= now - 1000)) {
+			this.sentTimes.shift();
+		}
+		if (this.sentTimes.length < this.rateLimit) return 0;
+		return this.sentTimes[this.sentTimes.length - this.rateLimit] + 1000 - now;
+	}
+};
+
+SendQueue.PRIORITIES = PRIORITIES;
+
+module.exports = SendQueue;
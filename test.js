@@ -1,10 +1,1329 @@
 'use strict';
 
+// Run the tests against a local mock server:
+//   node test.js
+// Or against the Paritech staging server, with credentials in test-config.js:
+//   node test.js --live
+
 let Zenith = require('./index.js');
 
-let config = require('./test-config.js');
+/// Clients connected by the current test, disconnected once it finishes.
+let clients = [];
+
+/// Create a client connected to the mock server.
+function connectMock(server, credentials = server.credentials, options = {}) {
+	let zenith = new Zenith.WebSockets(credentials, Object.assign({
+		endpoints: server.endpoints,
+	}, options));
+	clients.push(zenith);
+	return zenith.connect().then(() => zenith);
+}
+
+/// Fail the test unless the promise is rejected.
+function expectReject(promise, check) {
+	return promise.then(
+		() => {
+			throw Error('Expected promise to be rejected');
+		},
+		err => check(err)
+	);
+}
+
+function assertEqual(actual, expected, what) {
+	let a = JSON.stringify(actual);
+	let e = JSON.stringify(expected);
+	if (a !== e) {
+		throw Error('Unexpected ' + what + '.  Expected ' + e + ', got ' + a);
+	}
+}
+
+function delay(ms) {
+	return new Promise(fulfill => setTimeout(fulfill, ms));
+}
 
-class ZenithTests
+/// Tests run against MockServer, each with a freshly started server.
+class OfflineTests
+{
+	serverInfo(server) {
+		return connectMock(server)
+			.then(zenith => zenith.zenith_serverInfo())
+			.then(serverInfo => {
+				assertEqual(serverInfo.Name, 'Zenith Mock', 'server name');
+			});
+	}
+
+	queryIdentify(server) {
+		return connectMock(server)
+			.then(zenith => zenith.auth_queryIdentify())
+			.then(identity => {
+				assertEqual(identity.UserID, server.credentials.username, 'user ID');
+			});
+	}
+
+	callFixture(server) {
+		server.fixture('Market', 'QuerySecurity', data => {
+			return {
+				Code: data.Code,
+				Last: 12.34,
+			};
+		});
+		return connectMock(server)
+			.then(zenith => zenith.market_querySecurity('ASX[Demo]', 'BHP'))
+			.then(security => {
+				assertEqual(security, { Code: 'BHP', Last: 12.34 }, 'security');
+				let req = server.requests.find(r => r.Topic == 'QuerySecurity');
+				assertEqual(req.Data, { Market: 'ASX[Demo]', Code: 'BHP' }, 'request');
+			});
+	}
+
+	callError(server) {
+		server.fail('Trading', 'QueryAccounts', 'Access denied');
+		return connectMock(server)
+			.then(zenith => expectReject(zenith.trading_queryAccounts(), err => {
+				if (!(err instanceof Zenith.Error.ProtocolError)) throw err;
+				assertEqual(err.message, 'Access denied', 'error');
+				assertEqual(err.request.Topic, 'QueryAccounts', 'request');
+			}));
+	}
+
+	callTimeout(server) {
+		server.ignore('Auth', 'QueryIdentify');
+		return connectMock(server, server.credentials, { timeouts: { call: 200 } })
+			.then(zenith => expectReject(zenith.auth_queryIdentify(), err => {
+				if (!(err instanceof Zenith.Error.TimeoutError)) throw err;
+				assertEqual(err.code, 'TIMEOUT', 'error code');
+			}));
+	}
+
+	badCredentials(server) {
+		let credentials = Object.assign({}, server.credentials, {
+			password: 'wrong',
+		});
+		return expectReject(connectMock(server, credentials), err => {
+			if (!(err instanceof Zenith.Error.AuthError)) throw err;
+			assertEqual(err.code, 'invalid_grant', 'error code');
+		});
+	}
+
+	subscribe(server) {
+		server.fixture('Market', 'Security!BHP.ASX', { Last: 1 });
+		let updates = [];
+		return connectMock(server)
+			.then(zenith => zenith.sub_market_security('ASX', 'BHP', d => updates.push(d)))
+			.then(initial => {
+				assertEqual(initial, { Last: 1 }, 'initial data');
+				assertEqual(server.publish('Market', 'Security!BHP.ASX', { Last: 2 }), 1,
+					'number of subscribers');
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(updates, [{ Last: 1 }, { Last: 2 }], 'updates');
+			});
+	}
+
+	unsubscribe(server) {
+		let zenith;
+		let first = () => {};
+		let second = () => {};
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				return Promise.all([
+					zenith.sub_market_trades('ASX', 'BHP', first),
+					zenith.sub_market_trades('ASX', 'BHP', second),
+				]);
+			})
+			.then(() => {
+				zenith.unsub_market_trades('ASX', 'BHP', first);
+				zenith.unsub_market_trades('ASX', 'BHP', first); // no effect
+				return delay(50);
+			})
+			.then(() => {
+				if (server.requests.some(r => r.Action == 'Unsub')) {
+					throw Error('Unsubscribed while a listener remained');
+				}
+				let unsub = server.waitForRequest('Market', 'Trades!BHP.ASX', 'Unsub');
+				zenith.unsub_market_trades('ASX', 'BHP', second);
+				return unsub;
+			})
+			.then(() => {
+				assertEqual(Object.keys(zenith.subscriptions), [], 'subscriptions');
+				if (zenith.subscriptionTimer) throw Error('Subscription timer still set');
+			});
+	}
+
+	tokenRefresh(server) {
+		server.tokenLifetime = 1;
+		let refreshed = new Promise(fulfill => {
+			server.on('token', grantType => {
+				if (grantType == 'refresh_token') fulfill();
+			});
+		});
+		return connectMock(server)
+			.then(() => refreshed)
+			.then(() => server.waitForRequest('Auth', 'AuthToken'))
+			.then(req => {
+				if (!server.accessTokens[req.Data.AccessToken]) {
+					throw Error('Refreshed token was not sent to the server');
+				}
+			});
+	}
+
+	reconnect(server) {
+		let zenith;
+		let updates = [];
+		let events = [];
+		let reconnected;
+		server.fixture('Market', 'Security!BHP.ASX', { Last: 1 });
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				zenith.reconnectOptions.initialDelayMs = 10;
+				reconnected = new Promise(fulfill => {
+					zenith.fnReconnect = (event, info) => {
+						events.push(event);
+						if (event == 'success') fulfill();
+					};
+				});
+				return zenith.sub_market_security('ASX', 'BHP', d => updates.push(d));
+			})
+			.then(() => {
+				server.dropConnections();
+				return reconnected;
+			})
+			.then(() => {
+				assertEqual(events, ['attempt', 'success'], 'reconnection events');
+				server.publish('Market', 'Security!BHP.ASX', { Last: 3 });
+				return delay(50);
+			})
+			.then(() => {
+				// Initial data is sent again on resubscribing
+				assertEqual(updates, [{ Last: 1 }, { Last: 1 }, { Last: 3 }], 'updates');
+			});
+	}
+
+	marketDepth(server) {
+		server.fixture('Market', 'Depth!BHP.ASX', [
+			{ O: 'A', Order: { ID: 'b1', Side: 'Bid', Price: 10.00, Quantity: 100 } },
+			{ O: 'A', Order: { ID: 'b2', Side: 'Bid', Price: 10.01, Quantity: 50 } },
+			{ O: 'A', Order: { ID: 'b3', Side: 'Bid', Price: 10.00, Quantity: 25 } },
+			{ O: 'A', Order: { ID: 'a1', Side: 'Ask', Price: 10.05, Quantity: 200 } },
+		]);
+		let book;
+		let changes = 0;
+		return connectMock(server)
+			.then(zenith => zenith.sub_market_depth('ASX', 'BHP'))
+			.then(b => {
+				book = b;
+				book.on('change', () => ++changes);
+				assertEqual(book.bestBid(), {
+					Price: 10.01, Quantity: 50, Count: 1, CumulativeQuantity: 50,
+				}, 'best bid');
+				assertEqual(book.bids().map(l => [l.Price, l.Quantity, l.CumulativeQuantity]),
+					[[10.01, 50, 50], [10.00, 125, 175]], 'bid levels');
+				assertEqual(book.spread().toFixed(2), '0.04', 'spread');
+
+				server.publish('Market', 'Depth!BHP.ASX', [
+					{ O: 'R', ID: 'b2' },
+					{ O: 'U', Order: { ID: 'a1', Quantity: 150 } },
+					{ O: 'A', Order: { ID: 'a2', Side: 'Ask', Price: 10.03, Quantity: 10 } },
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(changes, 1, 'number of change events');
+				assertEqual(book.bestBid().Price, 10.00, 'best bid after removal');
+				assertEqual(book.asks().map(l => [l.Price, l.Quantity, l.CumulativeQuantity]),
+					[[10.03, 10, 10], [10.05, 150, 160]], 'ask levels');
+
+				server.publish('Market', 'Depth!BHP.ASX', [{ O: 'C' }]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(book.bestBid(), undefined, 'best bid after clear');
+				assertEqual(book.spread(), undefined, 'spread after clear');
+			});
+	}
+
+	tradeTape(server) {
+		server.fixture('Market', 'Trades!BHP.ASX', [
+			{ O: 'I', ID: 2 },
+			{ O: 'A', Trade: { ID: 1, Price: 10, Quantity: 100, Time: '2016-10-20T10:00:00+11:00' } },
+			{ O: 'A', Trade: { ID: 2, Price: 11, Quantity: 100, Time: '2016-10-20T10:00:01+11:00' } },
+		]);
+		let tape;
+		let events = [];
+		return connectMock(server)
+			.then(zenith => zenith.sub_market_tape('ASX', 'BHP', undefined, 3))
+			.then(t => {
+				tape = t;
+				tape.on('trade', trade => events.push('trade ' + trade.ID));
+				tape.on('update', trade => events.push('update ' + trade.ID));
+				tape.on('reset', op => events.push('reset ' + op));
+				assertEqual(tape.vwap(), 10.5, 'vwap');
+				if (!(tape.last().Time instanceof Date)) throw Error('Time not converted');
+
+				server.publish('Market', 'Trades!BHP.ASX', [
+					{ O: 'A', Trade: { ID: 4, Price: 12, Quantity: 50 } },
+					{ O: 'A', Trade: { ID: 3, Price: 12, Quantity: 50 } }, // out of order
+					{ O: 'U', Trade: { ID: 2, Price: 11, Quantity: 0 } }, // cancelled
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(events, ['trade 4', 'trade 3', 'update 2'], 'events');
+				assertEqual(tape.trades.map(t => t.ID), [2, 3, 4], 'kept trades');
+				assertEqual([tape.count, tape.volume, tape.vwap()], [4, 200, 11], 'totals');
+
+				// No longer kept, so the totals can't be corrected
+				server.publish('Market', 'Trades!BHP.ASX', [
+					{ O: 'U', Trade: { ID: 1, Price: 10, Quantity: 0 } },
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(events.pop(), 'update 1', 'update to an old trade');
+				assertEqual([tape.count, tape.volume, tape.vwap()], [4, 200, 11],
+					'totals after updating an old trade');
+
+				server.publish('Market', 'Trades!BHP.ASX', [{ O: 'C' }]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(events.pop(), 'reset C', 'last event');
+				assertEqual([tape.trades.length, tape.vwap()], [0, undefined], 'cleared tape');
+
+				server.publish('Market', 'Trades!BHP.ASX', [
+					{ O: 'A', Trade: { ID: '10', Price: 12, Quantity: 50 } },
+					{ O: 'A', Trade: { ID: '9', Price: 12, Quantity: 50 } },
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(tape.trades.map(t => t.ID), ['9', '10'], 'string IDs');
+			});
+	}
+
+	orderTracking(server) {
+		let account = '12345[Demo]';
+		let zenith;
+		let events = [];
+		let order = {
+			Account: account,
+			Details: { Side: 'Bid', Code: 'BHP', Quantity: 100 },
+		};
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				return zenith.sub_trading_orders(account);
+			})
+			.then(tracker => {
+				['placed', 'partiallyFilled', 'filled', 'cancelled'].forEach(state => {
+					tracker.on(state, o => events.push(state + ' ' + o.ID));
+				});
+				let placed = zenith.trading_placeOrder(order, true);
+				server.waitForRequest('Trading', 'PlaceOrder')
+					.then(() => delay(20))
+					.then(() => {
+						server.publish('Trading', 'Orders!' + account, [
+							{ O: 'U', Order: { ID: 'mock-order-1', ExecutedQuantity: 40 } },
+						]);
+						return delay(20);
+					})
+					.then(() => {
+						server.publish('Trading', 'Orders!' + account, [
+							{ O: 'U', Order: { ID: 'mock-order-1', ExecutedQuantity: 100 } },
+						]);
+					});
+				return placed;
+			})
+			.then(result => {
+				assertEqual([result.ID, result.ExecutedQuantity], ['mock-order-1', 100],
+					'completed order');
+				assertEqual(events, [
+					'placed mock-order-1',
+					'partiallyFilled mock-order-1',
+					'filled mock-order-1',
+				], 'events');
+				// Still subscribed through the first tracker
+				assertEqual(zenith.subscriptions['Trading:Orders!' + account].length, 1,
+					'number of listeners');
+
+				let placed = zenith.trading_placeOrder(order, true);
+				server.waitForRequest('Trading', 'PlaceOrder')
+					.then(() => delay(20))
+					.then(() => {
+						server.publish('Trading', 'Orders!' + account, [
+							{ O: 'R', ID: 'mock-order-2' },
+						]);
+					});
+				return expectReject(placed, err => {
+					if (!(err instanceof Zenith.Error)) throw err;
+					assertEqual(err.code, 'REMOVED', 'removed order');
+				});
+			})
+			.then(() => {
+				zenith.timeouts.completion = 30;
+				return expectReject(zenith.trading_placeOrder(order, true), err => {
+					if (!(err instanceof Zenith.Error.TimeoutError)) throw err;
+				});
+			})
+			.then(() => {
+				assertEqual([zenith.subscriptions['Trading:Orders!' + account].length,
+					zenith.listenerCount('close'), zenith.listenerCount('reconnectFailed')],
+					[1, 0, 0], 'listeners after giving up');
+			});
+	}
+
+	portfolio(server) {
+		let account = '12345[Demo]';
+		server.fixture('Trading', 'Holdings!' + account, [
+			{ O: 'A', Holding: {
+				Exchange: 'ASX[Demo]', Code: 'BHP', Account: account,
+				Cost: 1973, TotalQuantity: 100, AveragePrice: 19.73,
+			} },
+			{ O: 'A', Holding: {
+				Exchange: 'ASX[Demo]', Code: 'XYZ', Account: account,
+				Cost: 50, TotalQuantity: 10, AveragePrice: 5,
+			} },
+		]);
+		server.fixture('Trading', 'Balances!' + account, [
+			{ Account: account, Currency: 'AUD', Type: 'AvailableForTrade', Amount: 5000 },
+			{ Account: account, Currency: 'AUD', Type: 'NetBalance', Amount: 6000 },
+			{ Account: account, Currency: 'USD', Type: 'AvailableForTrade', Amount: 100 },
+		]);
+		server.fixture('Market', 'Security!BHP.ASX[Demo]', { Last: 20 });
+		server.fail('Market', 'Security!XYZ.ASX[Demo]', 'No such security');
+		let zenith;
+		let portfolio;
+		let cash = [];
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				return zenith.sub_trading_portfolio(account);
+			})
+			.then(p => {
+				portfolio = p;
+				portfolio.on('cash', amount => cash.push(amount));
+				let position = portfolio.positions.get('BHP.ASX[Demo]');
+				assertEqual([position.price, position.marketValue], [20, 2000], 'position value');
+				let unpriced = portfolio.positions.get('XYZ.ASX[Demo]');
+				assertEqual([unpriced.price, unpriced.cost], [undefined, 50], 'unpriced position');
+				assertEqual(portfolio.unrealisedPL(), 27, 'unrealised P&L');
+				assertEqual(portfolio.cashByCurrency(), { AUD: 5000, USD: 100 }, 'cash by currency');
+				assertEqual(portfolio.totalValue(), 7000, 'total value');
+
+				server.publish('Market', 'Security!BHP.ASX[Demo]', { Last: 19 });
+				server.publish('Trading', 'Balances!' + account, [
+					{ Account: account, Currency: 'AUD', Type: 'AvailableForTrade', Amount: 4000 },
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(portfolio.unrealisedPL(), -73, 'unrealised P&L after price change');
+				assertEqual(cash, [4000], 'cash events');
+
+				server.publish('Trading', 'Holdings!' + account, [
+					{ O: 'R', Holding: { Exchange: 'ASX[Demo]', Code: 'BHP' } },
+				]);
+				return server.waitForRequest('Market', 'Security!BHP.ASX[Demo]', 'Unsub');
+			})
+			.then(() => {
+				assertEqual(Array.from(portfolio.positions.keys()), ['XYZ.ASX[Demo]'], 'positions');
+				portfolio.stop();
+				assertEqual(Object.keys(zenith.subscriptions), [], 'subscriptions');
+			});
+	}
+
+	orderBuilder(server) {
+		let order = new Zenith.OrderBuilder('12345[Demo]')
+			.exchange('ASX[Demo]')
+			.buy('BHP', 100)
+			.limit(19.5)
+			.untilDate(new Date(Date.now() + 86400000));
+		let built = order.build();
+		assertEqual([built.Details.Type, built.Details.LimitPrice, built.Route.Market],
+			['Limit', 19.5, 'ASX[Demo]'], 'built order');
+		assertEqual(typeof built.Details.ExpiryDate, 'string', 'expiry type');
+
+		let bad = new Zenith.OrderBuilder('12345[Demo]')
+			.exchange('ASX[Demo]')
+			.sell('BHP', '100')
+			.market()
+			.validity('Forever');
+		bad.order.Details.LimitPrice = 10;
+		return connectMock(server)
+			.then(zenith => expectReject(zenith.trading_placeOrder(bad), err => {
+				if (!(err instanceof Zenith.Error.ValidationError)) throw err;
+				assertEqual(err.code, 'INVALID_ORDER', 'error code');
+				assertEqual(err.errors.length, 3, 'number of problems');
+				if (server.requests.some(r => r.Topic == 'PlaceOrder')) {
+					throw Error('Invalid order was sent to the server');
+				}
+			}));
+	}
+
+	amendAndMoveOrder(server) {
+		server.fixture('Trading', 'MoveOrder', {
+			Result: 'Rejected',
+			Errors: ['Destination account closed'],
+		});
+		let zenith;
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				return zenith.trading_amendOrder('12345[Demo]', 'order-1', {
+					Code: 'BHP',
+					Quantity: 200,
+					LimitPrice: 19.5,
+				});
+			})
+			.then(result => {
+				assertEqual(result.Result, 'Success', 'amend result');
+				let req = server.requests.find(r => r.Topic == 'AmendOrder');
+				assertEqual([req.Data.Order, req.Data.Details.Quantity], ['order-1', 200],
+					'amend request');
+				return expectReject(
+					zenith.trading_moveOrder('12345[Demo]', 'order-1', '67890[Demo]'),
+					err => {
+						if (!(err instanceof Zenith.Error.OrderRejectedError)) throw err;
+						assertEqual(err.errors, ['Destination account closed'], 'move errors');
+					}
+				);
+			})
+			.then(() => {
+				let req = server.requests.find(r => r.Topic == 'MoveOrder');
+				assertEqual(req.Data.Destination, '67890[Demo]', 'move destination');
+			});
+	}
+
+	events(server) {
+		server.tokenLifetime = 1;
+		server.fail('Market', 'Security!XYZ.ASX', 'No such security');
+		let zenith = new Zenith.WebSockets(server.credentials, {
+			endpoints: server.endpoints,
+			reconnect: { initialDelayMs: 10 },
+		});
+		clients.push(zenith);
+		let events = [];
+		['open', 'close', 'reconnecting', 'reconnected'].forEach(name => {
+			zenith.on(name, info => events.push(name + (info.reconnect ? ' (reconnect)' : '')));
+		});
+		let messages = 0;
+		zenith.on('message', () => ++messages);
+		let subError = new Promise(fulfill => zenith.on('subscriptionError', fulfill));
+		let refreshed = new Promise(fulfill => zenith.on('tokenRefreshed', fulfill));
+		let reconnected = new Promise(fulfill => zenith.on('reconnected', fulfill));
+		return zenith.connect()
+			.then(() => {
+				zenith.sub_market_security('ASX', 'XYZ', () => {}).catch(() => {});
+				return subError;
+			})
+			.then(info => {
+				assertEqual([info.topic, info.error.message], ['Security!XYZ.ASX', 'No such security'],
+					'subscription error');
+				return refreshed;
+			})
+			.then(() => {
+				server.dropConnections();
+				return reconnected;
+			})
+			.then(() => {
+				assertEqual(events, [
+					'open',
+					'close',
+					'reconnecting',
+					'open (reconnect)',
+					'reconnected',
+				], 'events');
+				if (messages < 2) throw Error('Message events not emitted');
+			});
+	}
+
+	authFailed(server) {
+		let zenith = new Zenith.WebSockets(Object.assign({}, server.credentials, {
+			clientSecret: 'wrong',
+		}), { endpoints: server.endpoints });
+		let failure;
+		zenith.on('authFailed', err => failure = err);
+		return expectReject(zenith.connect(), err => {
+			assertEqual(err.code, 'BADCREDS', 'error code');
+			if (failure !== err) throw Error('authFailed event not emitted');
+		});
+	}
+
+	loggingAndTrace(server) {
+		let lines = [];
+		let logged = [];
+		let zenith = new Zenith.WebSockets(server.credentials, {
+			endpoints: server.endpoints,
+		});
+		clients.push(zenith);
+		zenith.traceStream = {
+			write: line => lines.push(JSON.parse(line)),
+		};
+		zenith.logger = new Zenith.Logger('trace', {
+			log: (line, fields) => logged.push([line, fields]),
+		});
+		return zenith.connect()
+			.then(() => zenith.auth_authToken())
+			.then(() => {
+				let out = lines.find(l => (l.direction == 'out') && (l.message.Topic == 'AuthToken'));
+				assertEqual(out.message.Data.AccessToken, '[REDACTED]', 'traced token');
+				let res = lines.find(l => (l.direction == 'in')
+					&& (l.message.TransactionID == out.message.TransactionID));
+				assertEqual(typeof res.latencyMs, 'number', 'latency type');
+
+				let response = logged.find(l => l[0] == '[zenith] DEBUG Response received');
+				assertEqual([response[1].controller, response[1].topic], ['Auth', 'AuthToken'],
+					'logged fields');
+				if (JSON.stringify(logged).indexOf('mock-access') >= 0) {
+					throw Error('Access token was logged');
+				}
+
+				assertEqual(Zenith.Logger.redact({ passive: 1, bypass: 2, Password: 3,
+					client_secret: 4, refreshToken: 5, Authorization: 6 }),
+					{ passive: 1, bypass: 2, Password: '[REDACTED]', client_secret: '[REDACTED]',
+						refreshToken: '[REDACTED]', Authorization: '[REDACTED]' }, 'redacted fields');
+
+				// Nothing is copied for messages below the logger's level
+				let redact = Zenith.Logger.redact;
+				let copied = 0;
+				Zenith.Logger.redact = value => {
+					copied++;
+					return redact(value);
+				};
+				zenith.logger.level = 'warn';
+				zenith.log('trace', 'Ignored', { data: [1, 2, 3] });
+				Zenith.Logger.redact = redact;
+				assertEqual(copied, 0, 'fields copied for an ignored message');
+			});
+	}
+
+	environments(server) {
+		let staging = new Zenith.WebSockets(server.credentials);
+		assertEqual(staging.endpoints, Zenith.WebSockets.ENVIRONMENTS.staging, 'default endpoints');
+		let production = new Zenith.WebSockets(server.credentials, true, '2');
+		assertEqual(production.endpoints.ws, Zenith.WebSockets.ENVIRONMENTS.production.ws,
+			'production endpoint');
+		assertEqual(production.apiVersion, '2', 'API version');
+		try {
+			new Zenith.WebSockets(server.credentials, { environment: 'nowhere' });
+			throw Error('Expected an unknown environment to be rejected');
+		} catch (err) {
+			if (!(err instanceof Zenith.Error)) throw err;
+			assertEqual(err.code, 'BADENV', 'error code');
+		}
+
+		let created = [];
+		let options = {
+			timeouts: { ping: 5000 },
+			createWebSocket: (url, protocol, wsOptions) => {
+				created.push(url, protocol, !!wsOptions.headers.Authorization);
+				return Zenith.WebSockets.defaultWebSocket(url, protocol, wsOptions);
+			},
+			createOAuthClient: settings => {
+				created.push(settings.accessTokenUri);
+				return Zenith.WebSockets.defaultOAuthClient(settings);
+			},
+		};
+		return connectMock(server, server.credentials, options)
+			.then(zenith => {
+				assertEqual(zenith.timeouts.ping, 5000, 'ping timeout');
+				assertEqual(zenith.timeouts.call, Zenith.WebSockets.TIMEOUTS.call, 'call timeout');
+				assertEqual(created, [
+					server.endpoints.accessTokenUri,
+					server.endpoints.ws, 'ZenithJson', true,
+				], 'factory calls');
+			});
+	}
+
+	sendQueue(server) {
+		let zenith;
+		let sent = [];
+		server.on('request', req => {
+			if (req.Action != 'Sub') sent.push({ topic: req.Topic, time: Date.now() });
+		});
+		let options = {
+			rateLimit: 10,
+			reconnect: { initialDelayMs: 100, jitter: 0 },
+		};
+		return connectMock(server, server.credentials, options)
+			.then(z => {
+				zenith = z;
+				let calls = [];
+				for (let i = 0; i < 12; i++) {
+					calls.push(zenith.market_querySecurity('ASX', 'BHP'));
+				}
+				return Promise.all(calls);
+			})
+			.then(() => {
+				let elapsed = sent[10].time - sent[0].time;
+				if (elapsed < 900) throw Error('Rate limit not applied, 11 calls in ' + elapsed + ' ms');
+
+				// Calls made while disconnected are sent after reconnecting, orders first
+				zenith.queue.rateLimit = 0;
+				sent = [];
+				let closed = new Promise(fulfill => zenith.once('close', fulfill));
+				server.dropConnections();
+				return closed;
+			})
+			.then(() => Promise.all([
+				zenith.market_querySecurity('ASX', 'BHP'),
+				zenith.trading_cancelOrder('123[Demo]', 'order-1'),
+			]))
+			.then(() => {
+				assertEqual(sent.map(r => r.topic), ['CancelOrder', 'QuerySecurity'], 'order sent');
+
+				// Calls still queued after the deadline fail
+				zenith.timeouts.queue = 10;
+				let closed = new Promise(fulfill => zenith.once('close', fulfill));
+				server.dropConnections();
+				return closed;
+			})
+			.then(() => expectReject(zenith.auth_queryIdentify(), err => {
+				if (!(err instanceof Zenith.Error)) throw err;
+				assertEqual(err.code, 'TIMEOUT', 'error code');
+			}));
+	}
+
+	errorTypes(server) {
+		server.fixture('Trading', 'PlaceOrder', {
+			Result: 'Invalid',
+			Errors: ['Quantity too large'],
+		});
+		let order = new Zenith.OrderBuilder('12345[Demo]')
+			.exchange('ASX[Demo]')
+			.buy('BHP', 1000000)
+			.limit(19.5);
+		return connectMock(server)
+			.then(zenith => expectReject(zenith.trading_placeOrder(order), err => {
+				if (!(err instanceof Zenith.Error.ValidationError)) throw err;
+				assertEqual([err.name, err.code, err.errors],
+					['ValidationError', 'INVALID', ['Quantity too large']], 'error');
+				let req = server.requests.find(r => r.Topic == 'PlaceOrder');
+				assertEqual(err.transactionId, req.TransactionID, 'transaction ID');
+				assertEqual(err.request.Data.Details.Quantity, 1000000, 'request');
+			}))
+			.then(() => connectMock(server, server.credentials, { rawResults: true }))
+			.then(zenith => zenith.trading_placeOrder(order))
+			.then(result => {
+				assertEqual(result.Result, 'Invalid', 'raw result');
+			});
+	}
+
+	recordAndReplay(server) {
+		server.fixture('Market', 'QuerySecurity', { Code: 'BHP', Last: 12.34 });
+		server.fixture('Market', 'Security!BHP.ASX', { Last: 1 });
+		let lines = [];
+		let recorded = [];
+		let replayed = [];
+		let run = (zenith, updates) => {
+			return zenith.market_querySecurity('ASX', 'BHP')
+				.then(security => {
+					updates.push(security);
+					return zenith.sub_market_security('ASX', 'BHP', d => updates.push(d));
+				});
+		};
+		return connectMock(server)
+			.then(zenith => {
+				zenith.traceStream = {
+					write: line => lines.push(line),
+				};
+				return run(zenith, recorded);
+			})
+			.then(() => {
+				server.publish('Market', 'Security!BHP.ASX', { Last: 2 });
+				return delay(50);
+			})
+			.then(() => {
+				let replay = new Zenith.ReplayTransport(lines.join(''), {
+					speed: Infinity,
+				});
+				let ended = new Promise(fulfill => replay.on('end', fulfill));
+				let zenith = new Zenith.WebSockets(server.credentials, replay.options());
+				clients.push(zenith);
+				return zenith.connect()
+					.then(() => run(zenith, replayed))
+					.then(() => ended);
+			})
+			.then(() => {
+				assertEqual(recorded, [{ Code: 'BHP', Last: 12.34 }, { Last: 1 }, { Last: 2 }],
+					'recorded updates');
+				assertEqual(replayed, recorded, 'replayed updates');
+			});
+	}
+
+	profiles() {
+		let fs = require('fs');
+		let os = require('os');
+		let path = require('path');
+		let file = path.join(os.tmpdir(), 'zenithrc-test-' + process.pid);
+		fs.writeFileSync(file, JSON.stringify({
+			default: 'demo',
+			profiles: {
+				demo: { clientId: 'demo-id', exchange: 'ASX[Demo]', account: '123[Demo]' },
+				live: { clientId: 'live-id', environment: 'production' },
+			},
+		}));
+		let env = {
+			ZENITH_CLIENT_ID: 'env-id',
+			ZENITH_USERNAME: 'user',
+		};
+		try {
+			let profiles = Zenith.Profiles.load(file);
+			assertEqual(profiles.names(), ['demo', 'live'], 'names');
+			let settings = profiles.get(undefined, env);
+			assertEqual([settings.clientId, settings.username, settings.account, settings.password],
+				['demo-id', 'user', '123[Demo]', undefined], 'default profile');
+			settings = profiles.get(undefined, Object.assign({ ZENITH_PROFILE: 'live' }, env));
+			assertEqual([settings.clientId, settings.environment], ['live-id', 'production'],
+				'ZENITH_PROFILE');
+			settings = profiles.get('live', env);
+			assertEqual([settings.clientId, settings.exchange], ['live-id', undefined],
+				'named profile');
+			try {
+				profiles.get('missing', env);
+				throw new Error('Expected NOPROFILE');
+			} catch (e) {
+				assertEqual(e.code, 'NOPROFILE', 'unknown profile');
+			}
+		} finally {
+			fs.unlinkSync(file);
+		}
+
+		// A missing file means only the environment is used
+		let settings = Zenith.Profiles.load(file).get(undefined, env);
+		assertEqual([settings.clientId, settings.username], ['env-id', 'user'], 'no file');
+	}
+
+	instrumentDirectory(server) {
+		server.fixture('Market', 'QuerySymbols', [
+			{ Code: 'BHP', Market: 'ASX[Demo]', Name: 'BHP Group', Class: 'Market' },
+		]);
+		let count = topic => server.requests.filter(r => r.Topic == topic).length;
+		let directory;
+		return connectMock(server)
+			.then(zenith => {
+				directory = new Zenith.InstrumentDirectory(zenith);
+				return Promise.all([
+					directory.resolve('BHP'),
+					directory.resolve('BHP.ASX[Demo]'),
+				]);
+			})
+			.then(instruments => {
+				assertEqual(instruments[0], instruments[1], 'same instrument');
+				let i = instruments[0];
+				assertEqual([i.symbol, i.name, i.class, i.lotSize, i.tickSize],
+					['BHP.ASX[Demo]', 'BHP Mock Security', 'Market', 1, 0.005], 'instrument');
+				assertEqual(count('QuerySecurity'), 1, 'security cached');
+				return directory.search('BH', { IsPartial: true });
+			})
+			.then(symbols => {
+				assertEqual(symbols.map(s => s.Code), ['BHP'], 'search');
+				return directory.search('BH', { IsPartial: true });
+			})
+			.then(() => {
+				assertEqual(count('QuerySymbols'), 1, 'search cached');
+				let req = server.requests.find(r => r.Topic == 'QuerySymbols');
+				assertEqual([req.Data.SearchText, req.Data.IsPartial], ['BH', true], 'search options');
+				directory.clear('ASX[Demo]');
+				return directory.resolve('BHP');
+			})
+			.then(() => {
+				assertEqual(count('QuerySecurity'), 2, 'cleared');
+				assertEqual(Zenith.InstrumentDirectory.getTickSize(25.1), 0.01, 'tick size');
+			});
+	}
+
+	barAggregator(server) {
+		server.fixture('Market', 'Trades!BHP.ASX', [
+			{ O: 'I', ID: 3 },
+			{ O: 'A', Trade: { ID: 1, Price: 10, Quantity: 100, Time: '2016-10-20T10:00:05Z' } },
+			{ O: 'A', Trade: { ID: 2, Price: 12, Quantity: 50, Time: '2016-10-20T10:00:30Z' } },
+			{ O: 'A', Trade: { ID: 3, Price: 11, Quantity: 10, Time: '0001-01-01T00:00:00+00:00' } },
+		]);
+		let ohlcv = bar => [bar.open, bar.high, bar.low, bar.close, bar.volume, bar.count];
+		let bars;
+		let closed = [];
+		let updatedClosed = 0;
+		return connectMock(server)
+			.then(zenith => zenith.sub_market_bars('ASX', 'BHP', '1m', bar => closed.push(bar)))
+			.then(b => {
+				bars = b;
+				bars.on('barUpdated', bar => updatedClosed += bar.closed ? 1 : 0);
+				assertEqual(bars.bars().map(ohlcv), [[10, 12, 10, 11, 160, 3]], 'initial bar');
+				assertEqual(bars.current().start, new Date('2016-10-20T10:00:00Z'), 'bar start');
+
+				server.publish('Market', 'Trades!BHP.ASX', [
+					{ O: 'A', Trade: { ID: 5, Price: 13, Quantity: 10, Time: '2016-10-20T10:01:10Z' } },
+					{ O: 'A', Trade: { ID: 4, Price: 9, Quantity: 20, Time: '2016-10-20T10:00:50Z' } }, // late
+					{ O: 'U', Trade: { ID: 2, Price: 12, Quantity: 0 } }, // cancelled
+				]);
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(closed.map(bar => bar.start), [new Date('2016-10-20T10:00:00Z')],
+					'closed bars');
+				assertEqual(updatedClosed, 2, 'closed bar updates');
+				assertEqual(bars.bars().map(ohlcv),
+					[[10, 11, 9, 9, 130, 3], [13, 13, 13, 13, 10, 1]], 'bars');
+				bars.flush();
+				assertEqual([closed.length, bars.current()], [2, undefined], 'flushed');
+
+				let daily = new Zenith.BarAggregator('ASX', 'BHP', 'daily');
+				daily.apply({ O: 'A', Trade: { ID: 1, Price: 1, Quantity: 1, Time: '2016-10-20T23:30:00Z' } });
+				assertEqual([daily.current().start, daily.current().end],
+					[new Date('2016-10-20T13:00:00Z'), new Date('2016-10-21T13:00:00Z')], 'daily bar');
+				// Trades at the same time are in ID order, even when IDs are strings
+				daily.apply([
+					{ O: 'A', Trade: { ID: 'b10', Price: 3, Quantity: 1, Time: '2016-10-20T23:40:00Z' } },
+					{ O: 'A', Trade: { ID: 'b9', Price: 2, Quantity: 1, Time: '2016-10-20T23:40:00Z' } },
+				]);
+				assertEqual([daily.current().open, daily.current().close], [1, 2], 'string IDs');
+				try {
+					new Zenith.BarAggregator('ASX', 'BHP', '2w');
+					throw new Error('Expected BADINTERVAL');
+				} catch (e) {
+					assertEqual(e.code, 'BADINTERVAL', 'bad interval');
+				}
+			});
+	}
+
+	updateIterators(server) {
+		server.fixture('Market', 'Security!BHP.ASX', { Last: 1 });
+		let zenith;
+		let updates;
+		let values = [];
+		let read = () => updates.next().then(r => values.push(r.value));
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				updates = zenith.securityUpdates('ASX', 'BHP', { bufferSize: 2 });
+				return updates.ready;
+			})
+			.then(() => {
+				[2, 3, 4].forEach(last => server.publish('Market', 'Security!BHP.ASX', { Last: last }));
+				return delay(50);
+			})
+			.then(() => read())
+			.then(() => read())
+			.then(() => {
+				assertEqual([values, updates.dropped], [[{ Last: 3 }, { Last: 4 }], 2], 'drop-oldest');
+				let unsub = server.waitForRequest('Market', 'Security!BHP.ASX', 'Unsub');
+				// What leaving a for await loop early does
+				updates.return();
+				return unsub;
+			})
+			.then(() => updates.next())
+			.then(result => {
+				assertEqual(result.done, true, 'done after return');
+
+				updates = zenith.securityUpdates('ASX', 'BHP', { bufferSize: 1, policy: 'block' });
+				return updates.ready;
+			})
+			.then(() => {
+				assertEqual(zenith.readPauses, 0, 'not blocked with room in the buffer');
+				server.publish('Market', 'Security!BHP.ASX', { Last: 5 });
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual([updates.blocked, zenith.readPauses], [true, 1], 'blocked');
+				values = [];
+				return read().then(() => read());
+			})
+			.then(() => {
+				assertEqual(values, [{ Last: 1 }, { Last: 5 }], 'nothing dropped');
+				assertEqual(zenith.readPauses, 0, 'unblocked');
+				updates.close();
+
+				let stream = zenith.securityStream('ASX', 'BHP');
+				let unsub = server.waitForRequest('Market', 'Security!BHP.ASX', 'Unsub');
+				return new Promise(fulfill => stream.once('data', fulfill))
+					.then(data => {
+						assertEqual(data, { Last: 1 }, 'stream data');
+						stream.destroy();
+						return unsub;
+					});
+			});
+	}
+
+	normaliseData(server) {
+		server.fixture('Trading', 'QueryOrders', [{
+			O: 'A',
+			Order: {
+				ID: 'o1',
+				CreatedDate: '2016-10-20T19:42:52+11:00',
+				UpdatedDate: '0001-01-01T00:00:00+00:00',
+				ExecutedQuantity: '10',
+				Details: { Quantity: 100, LimitPrice: 19.5, ExpiryDate: '2016-10-21' },
+			},
+		}]);
+		let order = orders => orders[0].Order;
+		return connectMock(server)
+			.then(zenith => zenith.trading_queryOrders('12345[Demo]'))
+			.then(orders => {
+				let o = order(orders);
+				assertEqual([o.CreatedDate, o.UpdatedDate, o.ExecutedQuantity],
+					[new Date('2016-10-20T08:42:52Z'), null, 10], 'order');
+				if (!(o.Details.ExpiryDate instanceof Date)) throw Error('ExpiryDate not converted');
+				assertEqual(o.Details.LimitPrice, 19.5, 'price');
+				return connectMock(server, server.credentials, { decimal: String });
+			})
+			.then(zenith => zenith.trading_queryOrders('12345[Demo]'))
+			.then(orders => {
+				let details = order(orders).Details;
+				assertEqual([details.LimitPrice, Zenith.Normaliser.getDecimal(details, 'LimitPrice')],
+					[19.5, '19.5'], 'decimal price');
+				if (JSON.stringify(details).indexOf('"19.5"') >= 0) {
+					throw Error('Decimal would be sent back to the server');
+				}
+				return connectMock(server, server.credentials, { normalise: false });
+			})
+			.then(zenith => zenith.trading_queryOrders('12345[Demo]'))
+			.then(orders => {
+				assertEqual(order(orders).UpdatedDate, '0001-01-01T00:00:00+00:00', 'raw date');
+			});
+	}
+
+	paperTrading(server) {
+		server.fixture('Market', 'Depth!BHP.ASX[Demo]', [
+			{ O: 'A', Order: { ID: 'a1', Side: 'Ask', Price: 10.00, Quantity: 100 } },
+			{ O: 'A', Order: { ID: 'a2', Side: 'Ask', Price: 10.05, Quantity: 200 } },
+			{ O: 'A', Order: { ID: 'b1', Side: 'Bid', Price: 9.95, Quantity: 100 } },
+		]);
+		let account = '123[Demo]';
+		let broker = new Zenith.PaperBroker({
+			account: account,
+			cash: 10000,
+			brokerage: { rate: 0.001, minimum: 5 },
+		});
+		let order = () => new Zenith.OrderBuilder(account).exchange('ASX[Demo]');
+		let zenith;
+		let sell;
+		return connectMock(server, server.credentials, broker.options())
+			.then(z => {
+				zenith = z;
+				return zenith.trading_placeOrder(order().buy('BHP', 150).market(), true);
+			})
+			.then(filled => {
+				assertEqual([filled.Status, filled.ExecutedQuantity, filled.AveragePrice.toFixed(4)],
+					['Filled', 150, '10.0167'], 'market order');
+				return zenith.trading_placeOrder(order().sell('BHP', 100).limit(10.50));
+			})
+			.then(result => {
+				sell = result.Order;
+				assertEqual(sell.Status, 'Placed', 'resting order');
+				return expectReject(zenith.trading_placeOrder(order().sell('BHP', 100).limit(10.50)),
+					err => {
+						if (!(err instanceof Zenith.Error.OrderRejectedError)) throw err;
+						assertEqual(err.errors, ['Insufficient holdings: 50 units available to sell'],
+							'no short selling');
+					});
+			})
+			.then(() => {
+				server.publish('Market', 'Trades!BHP.ASX[Demo]', [
+					{ O: 'A', Trade: { ID: 1, Price: 10.60, Quantity: 60 } },
+				]);
+				return delay(50);
+			})
+			.then(() => zenith.trading_cancelOrder(account, sell.ID))
+			.then(() => Promise.all([
+				zenith.trading_queryOrders(account, sell.ID),
+				zenith.trading_queryHoldings(account),
+				zenith.trading_queryBalances(account),
+			]))
+			.then(results => {
+				let o = results[0][0].Order;
+				assertEqual([o.Status, o.ExecutedQuantity, o.AveragePrice], ['Cancelled', 60, 10.5],
+					'cancelled order');
+				let h = results[1][0];
+				assertEqual([h.TotalQuantity, h.TotalAvailableQuantity], [90, 90], 'holding');
+				// 10000 - (1502.50 + 5) + (630 - 5)
+				assertEqual(results[2].find(b => b.Type == 'Cash').Amount.toFixed(2), '9117.50',
+					'cash');
+				// (630 - 5) - 60 * (1507.50 / 150)
+				assertEqual([broker.brokeragePaid, broker.realisedPL.toFixed(2)], [10, '22.00'],
+					'brokerage and profit');
+				assertEqual(server.requests.filter(r => r.Controller == 'Trading').length, 0,
+					'Trading requests sent to the server');
+
+				// Nothing to value a market buy at
+				return expectReject(zenith.trading_placeOrder(order().buy('NEW', 10).market()),
+					err => {
+						if (!(err instanceof Zenith.Error.OrderRejectedError)) throw err;
+						assertEqual(err.errors, ['No market price for NEW.ASX[Demo] to value the order at'],
+							'unpriced order');
+					});
+			})
+			.then(() => {
+				// Walking up the book costs more than the best price suggested
+				server.fixture('Market', 'Depth!XYZ.ASX[Demo]', [
+					{ O: 'A', Order: { ID: 'x1', Side: 'Ask', Price: 1, Quantity: 100 } },
+					{ O: 'A', Order: { ID: 'x2', Side: 'Ask', Price: 1000, Quantity: 100 } },
+				]);
+				return zenith.trading_placeOrder(order().buy('XYZ', 150).market());
+			})
+			.then(result => zenith.trading_queryOrders(account, result.Order.ID))
+			.then(orders => {
+				let o = orders[0].Order;
+				// 9117.50 - (100 + 5) leaves enough for 9 at 1000, plus 4.10 brokerage
+				assertEqual([o.Status, o.ExecutedQuantity, broker.cash.toFixed(2)],
+					['Cancelled', 109, '8.40'], 'buy limited by cash');
+				broker.stop();
+			});
+	}
+
+	riskControls(server) {
+		server.fixture('Trading', 'QueryHoldings', [
+			{ Exchange: 'ASX[Demo]', Code: 'BHP', TotalQuantity: 200, Cost: 2000 },
+		]);
+		server.fixture('Trading', 'QueryOrders', [
+			{ O: 'A', Order: { ID: 'o1', Status: 'Placed', ExecutedQuantity: 0,
+				Details: { Exchange: 'ASX[Demo]', Code: 'RIO', Side: 'Ask', Quantity: 10 } } },
+			{ O: 'A', Order: { ID: 'o2', Status: 'Filled', ExecutedQuantity: 10,
+				Details: { Exchange: 'ASX[Demo]', Code: 'RIO', Side: 'Bid', Quantity: 10 } } },
+		]);
+		let risk = new Zenith.RiskManager({
+			maxOrderQuantity: 1000,
+			maxOrderValue: 5000,
+			maxPosition: { 'BHP.ASX[Demo]': 300 },
+			maxDailyTurnover: 6000,
+			duplicateWindow: 60000,
+		});
+		let violations = [];
+		risk.on('violation', err => violations.push(err.code));
+		let order = () => new Zenith.OrderBuilder('12345[Demo]').exchange('ASX[Demo]');
+		let rejected = (promise, code) => expectReject(promise, err => {
+			if (!(err instanceof Zenith.Error.RiskError)) throw err;
+			assertEqual(err.code, code, 'risk error');
+			return err;
+		});
+		let zenith;
+		return connectMock(server, server.credentials, { risk: risk })
+			.then(z => {
+				zenith = z;
+				return rejected(zenith.trading_placeOrder(order().buy('BHP', 2000).limit(1)),
+					'MAX_ORDER_QUANTITY');
+			})
+			.then(() => rejected(zenith.trading_placeOrder(order().buy('BHP', 500).limit(20)),
+				'MAX_ORDER_VALUE'))
+			.then(err => {
+				assertEqual([err.limit, err.value], [5000, 10000], 'limit and value');
+				// 200 held + 150
+				return rejected(zenith.trading_placeOrder(order().buy('BHP', 150).limit(10)),
+					'MAX_POSITION');
+			})
+			.then(() => zenith.trading_placeOrder(order().buy('BHP', 100).limit(10)))
+			.then(() => rejected(zenith.trading_placeOrder(order().buy('BHP', 100).limit(10)),
+				'DUPLICATE_ORDER'))
+			.then(() => zenith.trading_placeOrder(order().buy('RIO', 500).limit(9.99)))
+			.then(() => {
+				assertEqual(risk.getTurnover().toFixed(2), '5995.00', 'turnover');
+				// Valued at the mock security's last price of 1
+				return rejected(zenith.trading_placeOrder(order().buy('CBA', 10).market()),
+					'MAX_DAILY_TURNOVER');
+			})
+			.then(() => {
+				assertEqual(server.requests.filter(r => r.Topic == 'PlaceOrder').length, 2,
+					'orders sent');
+				return zenith.trading_amendOrder('12345[Demo]', 'o1',
+					order().sell('RIO', 1001).limit(10).build().Details);
+			})
+			.then(() => {
+				throw Error('Expected amendment to be rejected');
+			}, err => {
+				assertEqual(err.code, 'MAX_ORDER_QUANTITY', 'amendment error');
+				return risk.kill('Testing');
+			})
+			.then(results => {
+				assertEqual(results, [{ account: '12345[Demo]', order: 'o1' }], 'cancelled orders');
+				assertEqual(server.requests.filter(r => r.Topic == 'CancelOrder')
+					.map(r => r.Data.Order), ['o1'], 'cancel requests');
+				return rejected(zenith.trading_placeOrder(order().sell('BHP', 1).limit(10)),
+					'KILL_SWITCH');
+			})
+			.then(() => {
+				risk.resume();
+				let placed = zenith.trading_placeOrder(order().sell('BHP', 1).limit(5), true);
+				server.waitForRequest('Trading', 'PlaceOrder')
+					.then(() => delay(20))
+					.then(() => {
+						server.publish('Trading', 'Orders!12345[Demo]', [
+							{ O: 'U', Order: { ID: 'mock-order-3', Status: 'Cancelled' } },
+						]);
+					});
+				return placed;
+			})
+			.then(result => {
+				assertEqual(result.Status, 'Cancelled', 'order status');
+				assertEqual(risk.getTurnover().toFixed(2), '5995.00', 'turnover after cancel');
+				return rejected(zenith.trading_placeOrder({
+					Account: '12345[Demo]',
+					Details: { Exchange: 'ASX[Demo]', Code: 'BHP', Side: 'Bid',
+						Quantity: 'abc', LimitPrice: 1 },
+				}), 'BAD_QUANTITY');
+			})
+			.then(() => {
+				// 200 held, so either fits, but not both
+				let other = new Zenith.RiskManager({ maxPosition: 300 });
+				return connectMock(server, server.credentials, { risk: other })
+					.then(z => Promise.all([60, 60].map(quantity => z
+						.trading_placeOrder(order().buy('BHP', quantity).limit(1))
+						.then(() => 'passed', err => err.code))))
+					.then(results => {
+						assertEqual(other.inFlight.size, 0, 'orders in flight');
+						return results;
+					});
+			})
+			.then(results => {
+				assertEqual(results, ['passed', 'MAX_POSITION'], 'orders placed together');
+				assertEqual(server.requests.filter(r => r.Topic == 'PlaceOrder').length, 4,
+					'orders sent');
+				assertEqual(violations, ['MAX_ORDER_QUANTITY', 'MAX_ORDER_VALUE', 'MAX_POSITION',
+					'DUPLICATE_ORDER', 'MAX_DAILY_TURNOVER', 'MAX_ORDER_QUANTITY', 'KILL_SWITCH',
+					'BAD_QUANTITY'], 'violation events');
+			});
+	}
+
+	conditionalOrders(server) {
+		let fs = require('fs');
+		let os = require('os');
+		let path = require('path');
+		let file = path.join(os.tmpdir(), 'zenith-conditions-test-' + process.pid);
+		server.fixture('Market', 'Security!BHP.ASX[Demo]', { Last: 10 });
+		let order = () => new Zenith.OrderBuilder('12345[Demo]')
+			.exchange('ASX[Demo]')
+			.sell('BHP', 100)
+			.market();
+		let statuses = () => conditions.list().map(c => c.id + ':' + c.status);
+		let zenith;
+		let conditions;
+		let trailing;
+		return connectMock(server)
+			.then(z => {
+				zenith = z;
+				conditions = new Zenith.ConditionalOrders(zenith, { file: file, pollInterval: 50 });
+				return conditions.start();
+			})
+			.then(() => expectReject(conditions.add({ type: 'stop', order: order() }), err => {
+				assertEqual([err.code, err.errors], ['INVALID_CONDITION',
+					['price must be a positive number, got undefined']], 'invalid condition');
+			}))
+			.then(() => conditions.oco(
+				{ type: 'stop', price: 9.50, order: order() },
+				{ type: 'takeProfit', price: 11, order: order() }))
+			.then(pair => {
+				assertEqual(pair.map(c => c.group), ['c1', 'c1'], 'OCO group');
+				return conditions.add({ type: 'trailingStop', trail: 0.5, order: order() });
+			})
+			.then(c => {
+				trailing = c;
+				assertEqual(Zenith.ConditionalOrders.getTriggerPrice(trailing), 9.5, 'initial stop');
+
+				// Carry on from the file, as if restarted
+				conditions.stop();
+				conditions = new Zenith.ConditionalOrders(zenith, { file: file, pollInterval: 50 });
+				return conditions.start();
+			})
+			.then(() => {
+				assertEqual(statuses(), ['c1:pending', 'c2:pending', 'c3:pending'], 'restored');
+				trailing = conditions.get('c3');
+				server.publish('Market', 'Security!BHP.ASX[Demo]', { Last: 10.8 });
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(Zenith.ConditionalOrders.getTriggerPrice(trailing).toFixed(2), '10.30',
+					'trailing stop moved up');
+				let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+				assertEqual(data.conditions[2].extreme, 10, 'trailing stop saved later');
+				server.publish('Market', 'Security!BHP.ASX[Demo]', { Last: 10.2 });
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual([trailing.status, trailing.triggerPrice, trailing.orderID],
+					['placed', 10.2, 'mock-order-1'], 'trailing stop triggered');
+				server.publish('Market', 'Security!BHP.ASX[Demo]', { Last: 11.2 });
+				return delay(50);
+			})
+			.then(() => {
+				assertEqual(statuses(), ['c1:cancelled', 'c2:placed', 'c3:placed'], 'OCO triggered');
+				let placed = server.requests.filter(r => r.Topic == 'PlaceOrder');
+				assertEqual(placed.map(r => r.Data.Details.Type), ['Market', 'Market'],
+					'orders placed');
+
+				// An order being placed when stopped may or may not have been
+				return conditions.add({ type: 'stop', price: 5, order: order() });
+			})
+			.then(() => {
+				conditions.stop();
+				let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+				data.conditions[3].status = 'triggering';
+				fs.writeFileSync(file, JSON.stringify(data));
+				conditions = new Zenith.ConditionalOrders(zenith, { file: file });
+				return conditions.start();
+			})
+			.then(() => {
+				assertEqual(conditions.get('c4').status, 'failed', 'interrupted order');
+				return conditions.add({ type: 'takeProfit', price: 20, order: order() });
+			})
+			.then(c => {
+				conditions.cancel(c.id);
+				try {
+					conditions.cancel(c.id);
+					throw new Error('Expected NOTPENDING');
+				} catch (e) {
+					assertEqual(e.code, 'NOTPENDING', 'cancelling twice');
+				}
+				let saved = new Zenith.ConditionalOrders(zenith, { file: file });
+				saved.load();
+				assertEqual(saved.get('c5').status, 'cancelled', 'saved');
+
+				// Carries on in memory when the file can't be saved
+				let errors = [];
+				conditions.on('error', err => errors.push(err.code));
+				conditions.file = path.join(file + '-missing', 'conditions.json');
+				return conditions.add({ type: 'stop', price: 5, order: order() })
+					.then(c => {
+						assertEqual([c.id, c.status, errors], ['c6', 'pending', ['BADSTATE']],
+							'unable to save');
+						conditions.file = file;
+						conditions.stop();
+					});
+			})
+			.then(() => {
+				fs.writeFileSync(file, '{"conditions": [');
+				conditions = new Zenith.ConditionalOrders(zenith, { file: file });
+				return expectReject(conditions.start(), err => {
+					assertEqual(err.code, 'BADSTATE', 'unreadable file');
+					assertEqual(conditions.running, false, 'not started');
+				});
+			})
+			.then(() => fs.unlinkSync(file), err => {
+				conditions.stop();
+				fs.unlinkSync(file);
+				throw err;
+			});
+	}
+
+	rejectPendingOnDisconnect(server) {
+		server.ignore('Trading', 'QueryOrders');
+		return connectMock(server)
+			.then(zenith => {
+				zenith.reconnectOptions.initialDelayMs = 10;
+				let p = zenith.trading_queryOrders('12345[Demo]');
+				server.waitForRequest('Trading', 'QueryOrders')
+					.then(() => server.dropConnections());
+				return expectReject(p, err => {
+					if (!(err instanceof Zenith.Error)) throw err;
+					assertEqual(err.code, 'DISCONNECTED', 'error code');
+				});
+			});
+	}
+};
+
+/// Tests run against the real server, using credentials from test-config.js.
+class LiveTests
 {
 	serverInfo(zenith) {
 		return zenith.zenith_serverInfo().then(serverInfo => {
@@ -16,7 +1335,7 @@ class ZenithTests
 		});
 	}
 
-	queryIdentify(zenith) {
+	queryIdentify(zenith, config) {
 		return zenith.auth_queryIdentify().then(identity => {
 			if (identity.UserID != config.username) {
 				throw Error('Unexpected user ID.  Expected "' + config.username
@@ -26,20 +1345,34 @@ class ZenithTests
 	}
 };
 
-function runTests(zenith)
+/// Run every test in a class, one after the other.
+/**
+ * @param function setUp
+ *   Called before each test, returns a Promise fulfilled with the parameters
+ *   to pass to the test function.
+ *
+ * @param function tearDown
+ *   Called after each test with the same parameters, returns a Promise.
+ */
+function runTests(testClass, setUp, tearDown)
 {
-	let tests = new ZenithTests();
+	let tests = new testClass();
 	let flow = Promise.resolve();
 	let testNumber = 0;
 	let numSuccess = 0;
 	let numFail = 0;
-	Object.getOwnPropertyNames(ZenithTests.prototype).forEach(testName => {
+	Object.getOwnPropertyNames(testClass.prototype).forEach(testName => {
 		if (testName == 'constructor') return;
+		let params;
 		flow = flow
 			.then(() => {
 				++testNumber;
 				console.log('[' + testNumber + ':' + testName + '] Begin');
-				return tests[testName](zenith);
+				return setUp();
+			})
+			.then(p => {
+				params = p;
+				return tests[testName].apply(tests, params);
 			})
 			.then(() => {
 				console.log('[' + testNumber + ':' + testName + '] Complete');
@@ -48,7 +1381,8 @@ function runTests(zenith)
 			.catch(err => {
 				console.log('[' + testNumber + ':' + testName + '] Test failed:', err);
 				++numFail;
-			});
+			})
+			.then(() => tearDown.apply(null, params || []));
 	});
 	return flow.then(() => {
 		return {
@@ -59,20 +1393,52 @@ function runTests(zenith)
 	});
 }
 
-let zenith = new Zenith.WebSockets(config);
-zenith.debug = true;
-zenith.connect()
-	.then(() => {
-		console.log('Connected');
-		runTests(zenith).then(stats => {
+function report(stats) {
+	console.log('Tests complete: '
+		+ stats.count + ' tests run, '
+		+ stats.success + ' successful, '
+		+ stats.fail + ' failed.');
+	if (stats.fail > 0) process.exitCode = 1;
+}
+
+if (process.argv.indexOf('--live') >= 0) {
+	let config = require('./test-config.js');
+	let zenith = new Zenith.WebSockets(config);
+	zenith.debug = true;
+	zenith.connect()
+		.then(() => {
+			console.log('Connected');
+			return runTests(LiveTests, () => [zenith, config], () => {}).then(stats => {
+				zenith.disconnect();
+				report(stats);
+			});
+		})
+		.catch(err => {
+			console.log('Unable to connect:', err.message);
 			zenith.disconnect();
-			console.log('Tests complete: '
-				+ stats.count + ' tests run, '
-				+ stats.success + ' successful, '
-				+ stats.fail + ' failed.');
-		});
-	})
-	.catch(err => {
-		console.log('Unable to connect:', err.message);
-		zenith.disconnect();
-	});
+			process.exitCode = 1;
+		});
+} else {
+	runTests(
+		OfflineTests,
+		() => {
+			let server = new Zenith.MockServer();
+			return server.start().then(() => [server]);
+		},
+		server => {
+			// Wait for each client to finish closing before stopping the server,
+			// otherwise the client waits for a close frame that will never come.
+			let closed = clients.filter(zenith => zenith.ws).map(zenith => {
+				return new Promise(fulfill => {
+					if (zenith.ws.readyState == zenith.ws.CLOSED) fulfill();
+					else zenith.ws.once('close', fulfill);
+				});
+			});
+			clients.forEach(zenith => zenith.disconnect());
+			clients = [];
+			return Promise.all(closed).then(() => {
+				if (server) return server.stop();
+			});
+		}
+	).then(report);
+}
@@ -3,34 +3,311 @@
 // Command line tool for interfacing with Zenith
 // Use -h for help.
 
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var readline = require('readline');
 var parseArgs = require('minimist');
 
 let Zenith = require('./index.js');
 
-let config = require('./test-config.js');
-
 let idExchange = 'ASX[Demo]'; // overridden with -e
 
-function checkError(result, action) {
-	if (result.Result == 'Invalid') {
-		console.log(action + ' invalid due to incorrect information supplied: '
-			+ result.Errors.join(' '));
-	} else if (result.Result == 'Rejected') {
-		console.log(action + ' rejected based on: ' + result.Errors.join(' '));
-	} else if (result.Result == 'Error') {
-		console.log(action + ' failed due to parameters: '
-			+ result.Errors.join(' '));
+let logger; // set once the command line has been parsed
+let output; // Output, set once the command line has been parsed
+let defaultAccount; // from the profile, used when account-id is left out
+
+let streams = new Map(); // ID -> subscriptions left running by monitor etc.
+let lastStreamID = 0;
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const EXIT_FAILURE = 1; // an action failed
+const EXIT_USAGE = 2; // bad command line
+
+const HISTORY_FILE = path.join(os.homedir(), '.zenith_history');
+const HISTORY_SIZE = 1000;
+const CONDITIONS_FILE = path.join(os.homedir(), '.zenith_conditions.json');
+
+/// Condition types as typed on the command line -> ConditionalOrders.TYPES.
+const CONDITION_TYPES = {
+	'stop': 'stop',
+	'trailing-stop': 'trailingStop',
+	'take-profit': 'takeProfit',
+};
+
+/// Note subscriptions that carry on after an action has finished, so the
+/// shell can list and stop them.
+function addStream(description, subs) {
+	let id = ++lastStreamID;
+	streams.set(id, {
+		description: description,
+		subs: subs,
+	});
+	return id;
+}
+
+/// Take an account-id parameter, or use the profile's account if it was
+/// left out.
+/**
+ * @param Number count
+ *   Number of parameters the action takes, including the account.  If fewer
+ *   than this are given before the next action, the account is taken to be
+ *   the one left out.
+ */
+function takeAccount(params, count) {
+	let given = params.findIndex(param => getActionNames().indexOf(String(param).replace('-', '_')) >= 0);
+	if (given < 0) given = params.length;
+	if (defaultAccount && (given < count)) return defaultAccount;
+	return params.shift();
+}
+
+/// Turn a quantity parameter into a Number.
+/**
+ * @throw Error if it isn't a positive whole number.
+ */
+function parseQuantity(param) {
+	if (!/^[0-9]+$/.test(param) || (Number(param) <= 0)) {
+		throw Error('Quantity must be a positive whole number, got "' + param + '".');
+	}
+	return Number(param);
+}
+
+/// Put together the order for a condition to place.
+/**
+ * @param string limitPrice
+ *   Limit price, or - for a market order.
+ */
+function conditionOrder(idAccount, market, stock, side, quantity, limitPrice) {
+	let order = new Zenith.OrderBuilder(idAccount)
+		.exchange(idExchange)
+		.untilCancel()
+		.route(market);
+	if (side == 'buy') {
+		order.buy(stock, quantity);
+	} else if (side == 'sell') {
+		order.sell(stock, quantity);
 	} else {
-		return false; // no error
+		throw Error('Side must be buy or sell, got "' + side + '".');
 	}
-	return true; // error
+	return (limitPrice == '-') ? order.market() : order.limit(Number(limitPrice));
 }
 
+/// Fields of a condition to output.
+function describeCondition(condition) {
+	let details = condition.order.Details;
+	return {
+		id: condition.id,
+		condition: condition.type,
+		status: condition.status,
+		group: condition.group,
+		account: condition.order.Account,
+		side: details.Side,
+		sym: details.Code,
+		quantity: details.Quantity,
+		trigger: Zenith.ConditionalOrders.getTriggerPrice(condition),
+		limit: details.LimitPrice,
+		order_id: condition.orderID,
+		note: condition.error,
+	};
+}
+
+/// Ask for a password without showing what is typed.
+/**
+ * @return Promise, fulfilled with the password.
+ */
+function promptPassword(prompt) {
+	return new Promise((fulfill, reject) => {
+		let stdin = process.stdin;
+		if (!stdin.isTTY) {
+			reject(new Error('No password given, and unable to ask for one'));
+			return;
+		}
+		process.stderr.write(prompt);
+		let password = '';
+		let onData = text => {
+			for (let ch of text) {
+				switch (ch) {
+					case '\r':
+					case '\n':
+					case '\u0004': // Ctrl+D
+						stdin.removeListener('data', onData);
+						stdin.setRawMode(false);
+						stdin.pause();
+						process.stderr.write('\n');
+						fulfill(password);
+						return;
+					case '\u0003': // Ctrl+C
+						process.stderr.write('\n');
+						process.exit(EXIT_FAILURE);
+						return;
+					case '\u007f': // Backspace
+						password = password.slice(0, -1);
+						break;
+					default:
+						password += ch;
+						break;
+				}
+			}
+		};
+		stdin.setRawMode(true);
+		stdin.setEncoding('utf8');
+		stdin.on('data', onData);
+		stdin.resume();
+	});
+}
+
+/// Explain why an action failed, on stderr.
+function showError(err) {
+	if (output.format == 'json') {
+		console.error(JSON.stringify({
+			type: 'error',
+			name: err.name,
+			code: err.code,
+			message: err.message,
+			errors: err.errors,
+		}));
+		return;
+	}
+	let reasons = (err.errors && err.errors.length) ? err.errors.join(' ') : err.message;
+	if (err instanceof Zenith.Error.ValidationError) {
+		console.error('Invalid due to incorrect information supplied: ' + reasons);
+	} else if (err instanceof Zenith.Error.OrderRejectedError) {
+		console.error('Rejected based on: ' + reasons);
+	} else if (err instanceof Zenith.Error.ProtocolError) {
+		console.error('Failed due to parameters: ' + reasons);
+	} else if (err instanceof Zenith.Error.RiskError) {
+		console.error('Stopped by risk limits: ' + reasons);
+	} else {
+		console.error('Error:', err);
+	}
+}
+
+/// Turn nested objects into a single level, e.g. { Route: { Market } } into
+/// { 'Route.Market' }.
+function flatten(record, prefix = '', flat = {}) {
+	Object.keys(record).forEach(key => {
+		let value = record[key];
+		if (value && (typeof value == 'object') && !(value instanceof Array)
+			&& !(value instanceof Date)
+		) {
+			flatten(value, prefix + key + '.', flat);
+		} else {
+			flat[prefix + key] = value;
+		}
+	});
+	return flat;
+}
+
+/// Convert a value to text for the csv and table formats.
+function formatValue(value) {
+	if ((value === undefined) || (value === null)) return '';
+	if (value instanceof Date) return value.toISOString();
+	if (value instanceof Array) return JSON.stringify(value);
+	return String(value);
+}
+
+/// Prints results in the format chosen with --output.
+/**
+ * Results are records, i.e. objects with a type such as 'order'.  Lists of
+ * records are printed together so a table can line up the columns, while
+ * streams print each record as it arrives.  The formats are:
+ *
+ *  - table: Lists as columns, single records as key=value lines.
+ *  - json: One JSON object per line, with the type in its type member.
+ *  - csv: One line per record, with a header line each time the columns
+ *      change.  The first column is the type.
+ *
+ * Everything else is a message for the user, which goes to stderr unless
+ * the format is table, so stdout only ever has results.
+ */
+class Output
+{
+	constructor(format = 'table') {
+		this.format = format;
+		this.csvHeader = undefined; // last CSV header printed
+	}
+
+	/// Print a message that is not a result.
+	info(message) {
+		if (this.format == 'table') {
+			console.log(message);
+		} else {
+			console.error(message);
+		}
+	}
+
+	/// Print a single record, e.g. an update from a stream.
+	record(type, record) {
+		if (this.format == 'table') {
+			record = flatten(record);
+			console.log(type + ': ' + Object.keys(record)
+				.map(key => key + '=' + formatValue(record[key]))
+				.join(' ')
+			);
+			return;
+		}
+		this.records(type, [record]);
+	}
+
+	/// Print a list of records of the same type.
+	records(type, records) {
+		records = records.map(record => flatten(record));
+		let columns = [];
+		records.forEach(record => Object.keys(record).forEach(key => {
+			if (columns.indexOf(key) < 0) columns.push(key);
+		}));
+		switch (this.format) {
+			case 'json':
+				records.forEach(record => {
+					console.log(JSON.stringify(Object.assign({ type: type }, record)));
+				});
+				break;
+			case 'csv': {
+				let quote = text => /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+				let header = ['type'].concat(columns).map(quote).join(',');
+				if (header != this.csvHeader) {
+					console.log(header);
+					this.csvHeader = header;
+				}
+				records.forEach(record => {
+					console.log([type].concat(columns.map(key => formatValue(record[key])))
+						.map(quote).join(','));
+				});
+				break;
+			}
+			default: {
+				let rows = records.map(record => columns.map(key => formatValue(record[key])));
+				let widths = columns.map((column, i) => {
+					return Math.max(column.length, ...rows.map(row => row[i].length));
+				});
+				let print = row => {
+					console.log(row
+						.map((text, i) => text + ' '.repeat(widths[i] - text.length))
+						.join('  ')
+						.trimEnd()
+					);
+				};
+				print(columns);
+				rows.forEach(print);
+				break;
+			}
+		}
+	}
+};
+
 
 class Actions
 {
 	constructor(zenith) {
 		this.zenith = zenith;
+		this.instruments = new Zenith.InstrumentDirectory(zenith, {
+			market: idExchange,
+		});
+		this.conditions = new Zenith.ConditionalOrders(zenith, {
+			file: CONDITIONS_FILE,
+		});
+		this.conditions.on('error', err => output.info('Conditions: ' + err.message));
 	}
 
 	list_accounts(promise, params) {
@@ -40,9 +317,11 @@ class Actions
 		return promise.then(() => {
 			return this.zenith.trading_queryAccounts()
 				.then(accounts => {
-					accounts.forEach(d => {
-						console.log('account: id=' + d.ID + ' name=' + d.Name + ' currency=' + d.Currency);
-					});
+					output.records('account', accounts.map(d => ({
+						id: d.ID,
+						name: d.Name,
+						currency: d.Currency,
+					})));
 				});
 		});
 	}
@@ -52,7 +331,7 @@ class Actions
 			return ['account-id'];
 		}
 
-		let idAccount = params.shift();
+		let idAccount = takeAccount(params, 1);
 		if (!idAccount) {
 			throw Error('Need account ID to list orders.');
 		}
@@ -60,11 +339,11 @@ class Actions
 			return this.zenith.trading_queryOrders(idAccount)
 				.then(orders => {
 					if (orders.length == 0) {
-						console.log('no current orders');
+						output.info('no current orders');
 						return;
 					}
-					orders.forEach(order => {
-						if (this.zenith.debug) console.log(order);
+					output.records('order', orders.map(order => {
+						logger.debug('Order', order);
 						/*
 						{ O: 'A',
 							Order:
@@ -97,16 +376,51 @@ class Actions
 									Validity: 'FillOrKill' } } }
 						 */
 						let data = order.Order;
-						console.log('order: id=' + data.ID
-							+ ' status=' + data.Status
-							+ ' side=' + data.Details.Side
-							+ ' sym=' + data.Details.Code
-							+ ' quantity=' + data.Details.Quantity
-							+ ' limit=' + (data.Details.LimitPrice || 'N/A')
-							+ ' valid=' + data.Details.Validity
-						);
+						return {
+							id: data.ID,
+							status: data.Status,
+							side: data.Details.Side,
+							sym: data.Details.Code,
+							quantity: data.Details.Quantity,
+							limit: data.Details.LimitPrice,
+							valid: data.Details.Validity,
+						};
+					}));
+				});
+		});
+	}
+
+	watch_orders(promise, params) {
+		if (!promise) {
+			return ['account-id'];
+		}
+
+		let idAccount = takeAccount(params, 1);
+		if (!idAccount) {
+			throw Error('Need account ID to watch orders.');
+		}
+		let sub;
+		return promise.then(() => {
+			sub = this.zenith.sub_trading_orders(idAccount);
+			return sub;
+		})
+		.then(tracker => {
+			addStream('watch_orders ' + idAccount, [sub]);
+			output.info('Watching orders: account=' + idAccount
+				+ ' current_orders=' + tracker.orders.size);
+			Zenith.OrderTracker.STATES.forEach(state => {
+				tracker.on(state, data => {
+					output.record('order', {
+						state: state,
+						id: data.ID,
+						status: data.Status,
+						side: data.Details.Side,
+						sym: data.Details.Code,
+						quantity: data.Details.Quantity,
+						executed: data.ExecutedQuantity,
 					});
 				});
+			});
 		});
 	}
 
@@ -115,7 +429,7 @@ class Actions
 			return ['account-id', 'order-id'];
 		}
 
-		let idAccount = params.shift();
+		let idAccount = takeAccount(params, 2);
 		if (!idAccount) {
 			throw Error('Need account ID of order to cancel.');
 		}
@@ -124,11 +438,255 @@ class Actions
 			throw Error('Need order ID to cancel an order.');
 		}
 		return promise.then(() => {
-			console.log('Cancelling order: account=' + idAccount + ' order=' + idOrder);
+			output.info('Cancelling order: account=' + idAccount + ' order=' + idOrder);
 			return this.zenith.trading_cancelOrder(idAccount, idOrder)
 				.then(result => {
-					if (checkError(result, 'Order cancellation')) return;
-					console.log(result);
+					output.record('result', result);
+				});
+		});
+	}
+
+	kill_switch(promise, params) {
+		if (!promise) {
+			return ['[reason]'];
+		}
+
+		let reason = params.shift() || 'Kill switch used from the command line';
+		return promise.then(() => {
+			if (!this.zenith.risk) {
+				this.zenith.risk = new Zenith.RiskManager();
+				this.zenith.risk.attach(this.zenith);
+			}
+			output.info('Blocking new orders and cancelling all open orders: ' + reason);
+			return this.zenith.risk.kill(reason);
+		})
+		.then(results => {
+			results.forEach(r => {
+				output.record('cancel', {
+					account: r.account,
+					order: r.order,
+					result: r.error ? 'Failed: ' + r.error.message : 'Cancelled',
+				});
+			});
+			if (results.some(r => r.error)) {
+				throw Error('Unable to cancel every open order.');
+			}
+		});
+	}
+
+	add_condition(promise, params) {
+		if (!promise) {
+			return ['account-id', 'stop|trailing-stop|take-profit', 'market', 'stock',
+				'buy|sell', 'quantity', 'trigger-price|trail|trail%', 'limit-price|-'];
+		}
+
+		let idAccount = takeAccount(params, 8);
+		if (!idAccount) {
+			throw Error('Need account ID to place the order through.');
+		}
+		let type = CONDITION_TYPES[params.shift()];
+		if (!type) {
+			throw Error('Need condition type, one of ' + Object.keys(CONDITION_TYPES).join(', ') + '.');
+		}
+		let market = params.shift();
+		let stock = params.shift();
+		let side = params.shift();
+		let quantity = params.shift();
+		let trigger = params.shift();
+		let limitPrice = params.shift();
+		if (!limitPrice) {
+			throw Error('Need every parameter, with - as the limit price for a market order.');
+		}
+		let order = conditionOrder(idAccount, market, stock, side, parseQuantity(quantity),
+			limitPrice);
+		let spec = {
+			type: type,
+			order: order,
+		};
+		if (type != 'trailingStop') {
+			spec.price = Number(trigger);
+		} else if (trigger.endsWith('%')) {
+			spec.trailPercent = Number(trigger.slice(0, -1));
+		} else {
+			spec.trail = Number(trigger);
+		}
+		return promise
+			.then(() => this.conditions.add(spec))
+			.then(condition => {
+				output.record('condition', describeCondition(condition));
+				if (!this.conditions.running) {
+					output.info('Saved to ' + CONDITIONS_FILE + ', use watch-conditions to act on it');
+				}
+			});
+	}
+
+	add_oco(promise, params) {
+		if (!promise) {
+			return ['account-id', 'market', 'stock', 'buy|sell', 'quantity', 'stop-price',
+				'take-profit-price'];
+		}
+
+		let idAccount = takeAccount(params, 7);
+		if (!idAccount) {
+			throw Error('Need account ID to place the order through.');
+		}
+		let market = params.shift();
+		let stock = params.shift();
+		let side = params.shift();
+		let quantity = params.shift();
+		let stopPrice = params.shift();
+		let profitPrice = params.shift();
+		if (!profitPrice) {
+			throw Error('Need every parameter, including both prices.');
+		}
+		let order = () => conditionOrder(idAccount, market, stock, side,
+			parseQuantity(quantity), '-');
+		let stop = {
+			type: 'stop',
+			price: Number(stopPrice),
+			order: order(),
+		};
+		let profit = {
+			type: 'takeProfit',
+			price: Number(profitPrice),
+			order: order(),
+		};
+		return promise
+			.then(() => this.conditions.oco(stop, profit))
+			.then(pair => {
+				pair.forEach(condition => {
+					output.record('condition', describeCondition(condition));
+				});
+				if (!this.conditions.running) {
+					output.info('Saved to ' + CONDITIONS_FILE + ', use watch-conditions to act on it');
+				}
+			});
+	}
+
+	list_conditions(promise, params) {
+		if (!promise) {
+			return [];
+		}
+
+		return promise.then(() => {
+			this.conditions.load();
+			this.conditions.list().forEach(condition => {
+				output.record('condition', describeCondition(condition));
+			});
+		});
+	}
+
+	cancel_condition(promise, params) {
+		if (!promise) {
+			return ['condition-id'];
+		}
+
+		let id = params.shift();
+		if (!id) {
+			throw Error('Need ID of condition to cancel, see list-conditions.');
+		}
+		return promise.then(() => {
+			let condition = this.conditions.cancel(id);
+			output.record('condition', describeCondition(condition));
+		});
+	}
+
+	watch_conditions(promise, params) {
+		if (!promise) {
+			return [];
+		}
+
+		return promise.then(() => {
+			// Before starting, as conditions may trigger straight away
+			['trigger', 'placed', 'failed', 'cancel'].forEach(event => {
+				this.conditions.on(event, condition => {
+					let record = describeCondition(condition);
+					record.event = event;
+					output.record('condition', record);
+				});
+			});
+			return this.conditions.start();
+		})
+		.then(() => {
+			addStream('watch_conditions', [{
+				unsubscribe: () => this.conditions.stop(),
+			}]);
+			output.info('Watching conditions in ' + CONDITIONS_FILE + ': pending='
+				+ this.conditions.list().filter(c => c.status == 'pending').length);
+		});
+	}
+
+	amend_order(promise, params) {
+		if (!promise) {
+			return ['account-id', 'order-id', 'quantity', 'limit-price'];
+		}
+
+		let idAccount = takeAccount(params, 4);
+		if (!idAccount) {
+			throw Error('Need account ID of order to amend.');
+		}
+		let idOrder = params.shift();
+		if (!idOrder) {
+			throw Error('Need order ID to amend an order.');
+		}
+		let quantity = params.shift();
+		if (!quantity) {
+			throw Error('Need new quantity, or - to leave it unchanged.');
+		}
+		if (quantity != '-') quantity = parseQuantity(quantity);
+		let limitPrice = params.shift();
+		if (!limitPrice) {
+			throw Error('Need new limit price, or - to leave it unchanged.');
+		}
+		return promise.then(() => {
+			output.info('Amending order: account=' + idAccount
+				+ ' order=' + idOrder
+				+ ' quantity=' + quantity
+				+ ' limit=' + limitPrice
+			);
+			// Zenith wants the complete details, so start from the current ones
+			return this.zenith.trading_queryOrders(idAccount, idOrder);
+		})
+		.then(orders => {
+			let current = orders.find(o => o.Order && (o.Order.ID == idOrder));
+			if (!current) {
+				throw Error('Order ' + idOrder + ' not found in account ' + idAccount);
+			}
+			let details = Object.assign({}, current.Order.Details);
+			if (quantity != '-') details.Quantity = quantity;
+			if (limitPrice != '-') details.LimitPrice = Number(limitPrice);
+			return this.zenith.trading_amendOrder(idAccount, idOrder, details);
+		})
+		.then(result => {
+			output.record('result', result);
+		});
+	}
+
+	move_order(promise, params) {
+		if (!promise) {
+			return ['account-id', 'order-id', 'destination-account-id'];
+		}
+
+		let idAccount = takeAccount(params, 3);
+		if (!idAccount) {
+			throw Error('Need account ID of order to move.');
+		}
+		let idOrder = params.shift();
+		if (!idOrder) {
+			throw Error('Need order ID to move an order.');
+		}
+		let idDestination = params.shift();
+		if (!idDestination) {
+			throw Error('Need account ID to move the order to.');
+		}
+		return promise.then(() => {
+			output.info('Moving order: account=' + idAccount
+				+ ' order=' + idOrder
+				+ ' destination=' + idDestination
+			);
+			return this.zenith.trading_moveOrder(idAccount, idOrder, idDestination)
+				.then(result => {
+					output.record('result', result);
 				});
 		});
 	}
@@ -138,7 +696,7 @@ class Actions
 			return ['account-id'];
 		}
 
-		let idAccount = params.shift();
+		let idAccount = takeAccount(params, 1);
 		if (!idAccount) {
 			throw Error('Need account ID to list holdings.');
 		}
@@ -146,11 +704,11 @@ class Actions
 			return this.zenith.trading_queryHoldings(idAccount)
 				.then(holdings => {
 					if (holdings.length == 0) {
-						console.log('no current holdings');
+						output.info('no current holdings');
 						return;
 					}
-					holdings.forEach(holding => {
-						if (this.zenith.debug) console.log(holding);
+					output.records('holding', holdings.map(holding => {
+						logger.debug('Holding', holding);
 						/*
 						{ O: 'A',
 							Holding:
@@ -165,14 +723,15 @@ class Actions
 								AveragePrice: 19.73 } }
 						 */
 						let data = holding.Holding;
-						console.log('holding: exchange=' + data.Exchange
-							+ ' type=' + data.Style
-							+ ' sym=' + data.Code
-							+ ' quantity=' + data.TotalQuantity
-							+ ' price=' + data.AveragePrice
-							+ ' cost=' + data.Cost
-						);
-					});
+						return {
+							exchange: data.Exchange,
+							type: data.Style,
+							sym: data.Code,
+							quantity: data.TotalQuantity,
+							price: data.AveragePrice,
+							cost: data.Cost,
+						};
+					}));
 				});
 		});
 	}
@@ -183,24 +742,27 @@ class Actions
 		}
 
 		return promise.then(() => {
-			console.log('Querying markets:');
+			output.info('Querying markets:');
 			return this.zenith.market_queryMarkets()
 				.then(result => {
-					if (checkError(result, 'Market query')) return;
-					result.forEach(market => {
-						console.log(market.Code
-							+ ' feed=' + market.Feed
-							+ ' status=' + market.Status);
+					output.records('market', result.map(market => {
+						let states;
 						if (market.Feed == 'Initialising') {
-							console.log(' * No data, feed is initialising');
+							states = 'No data, feed is initialising';
 						} else if (market.Status) {
-							market.States.forEach(state => {
-								console.log(' * ' + state.Name + ' status=' + state.Status);
-							});
+							states = (market.States || [])
+								.map(state => state.Name + '=' + state.Status)
+								.join(' ');
 						} else {
-							console.log(' * Missing market status:', market);
+							states = 'Missing market status';
 						}
-					});
+						return {
+							code: market.Code,
+							feed: market.Feed,
+							status: market.Status,
+							states: states,
+						};
+					}));
 				});
 		});
 	}
@@ -215,11 +777,55 @@ class Actions
 			throw Error('Need stock symbol to query.');
 		}
 		return promise.then(() => {
-			console.log('Querying security: stock=' + stock);
+			output.info('Querying security: stock=' + stock);
 			return this.zenith.market_querySecurity(idExchange, stock)
 				.then(result => {
-					if (checkError(result, 'Security query')) return;
-					console.log(result);
+					output.record('security', result);
+				});
+		});
+	}
+
+	search_symbols(promise, params) {
+		if (!promise) {
+			return ['text', '[Option=value ...]'];
+		}
+
+		let text = params.shift();
+		if (!text) {
+			throw Error('Need text to search for.');
+		}
+		text = String(text);
+		// Any other QuerySymbols members, e.g. Field=Name IsPartial=true Count=10
+		let options = {};
+		while (params.length && /^\w+=/.test(params[0])) {
+			let option = params.shift().split('=');
+			let value = option.slice(1).join('=');
+			if ((value == 'true') || (value == 'false')) {
+				value = (value == 'true');
+			} else if ((value !== '') && !isNaN(value)) {
+				value = Number(value);
+			}
+			options[option[0]] = value;
+		}
+		return promise.then(() => {
+			output.info('Searching symbols: text=' + text
+				+ Object.keys(options).map(k => ' ' + k + '=' + options[k]).join('')
+			);
+			return this.instruments.search(text, options)
+				.then(symbols => {
+					if (!symbols.length) {
+						output.info('no matching symbols');
+						return;
+					}
+					output.records('symbol', symbols.map(s => {
+						return {
+							code: s.Code,
+							market: s.Market,
+							name: s.Name,
+							class: s.Class,
+							exchange: s.Exchange,
+						};
+					}));
 				});
 		});
 	}
@@ -229,7 +835,7 @@ class Actions
 			return ['account-id', 'market', 'stock', 'quantity'];
 		}
 
-		let idAccount = params.shift();
+		let idAccount = takeAccount(params, 4);
 		if (!idAccount) {
 			throw Error('Need account ID to place order through.');
 		}
@@ -245,31 +851,22 @@ class Actions
 		if (!quantity) {
 			throw Error('Need quantity to buy.');
 		}
+		quantity = parseQuantity(quantity);
 		return promise.then(() => {
-			console.log('Buy equity: account=' + idAccount
+			output.info('Buy equity: account=' + idAccount
 				+ ' market=' + market
 				+ ' stock=' + stock
 				+ ' quantity=' + quantity
 			);
-			return this.zenith.trading_placeOrder({
-				Account: idAccount,
-				Details: {
-					Exchange: idExchange,
-					Code: stock,
-					Side: 'Bid',
-					Style: 'Equity',
-					Type: 'Best',
-					Quantity: quantity,
-					Validity: 'UntilCancel',
-				},
-				Route: {
-					Algorithm: 'Market',
-					Market: market,
-				},
-			})
+			let order = new Zenith.OrderBuilder(idAccount)
+				.exchange(idExchange)
+				.buy(stock, quantity)
+				.best()
+				.untilCancel()
+				.route(market);
+			return this.zenith.trading_placeOrder(order)
 			.then(result => {
-				if (checkError(result, 'Equity purchase')) return;
-				console.log(result);
+				output.record('result', result);
 			});
 		});
 	}
@@ -287,37 +884,51 @@ class Actions
 		if (!stock) {
 			throw Error('Need stock to monitor.');
 		}
+		let subs = [];
 		return promise.then(() => {
-			return zenith.sub_market_security(market, stock, d => {
-				console.log('Security update: last=' + d.Last
-					+ ' trade_count=' + d.NumberOfTrades
-					+ ' volume=' + d.Volume
-					+ ' value_traded=' + d.ValueTraded
-					+ ' bid_count=' + d.BidCount
-					+ ' bid_quantity=' + d.BidQuantity
-				);
+			let sub = this.zenith.sub_market_security(market, stock, d => {
+				output.record('security', {
+					last: d.Last,
+					trade_count: d.NumberOfTrades,
+					volume: d.Volume,
+					value_traded: d.ValueTraded,
+					bid_count: d.BidCount,
+					bid_quantity: d.BidQuantity,
+				});
 			});
+			subs.push(sub);
+			return sub;
 		})
 		.then(() => {
-			return zenith.sub_market_trades(market, stock, updates => {
-				updates.forEach(d => {
-					if (d.O == 'I') {
-						console.log('New trade: id=' + d.ID);
-						return;
-					}
-					if (!d.Trade) {
-						console.log('Unknown trade update:', d);
-						return;
-					}
-					console.log('Trade update: update_type=' + d.O
-						+ ' id=' + d.Trade.ID
-						+ ' price=' + d.Trade.Price
-						+ ' quantity=' + d.Trade.Quantity
-						+ ' time=' + d.Trade.Time
-						+ ' trend=' + d.Trade.Trend
-						+ ' side=' + d.Trade.Ask
-					);
+			let sub = this.zenith.sub_market_tape(market, stock);
+			subs.push(sub);
+			return sub;
+		})
+		.then(tape => {
+			addStream('monitor ' + market + ' ' + stock, subs);
+			let printTrade = (event, trade) => {
+				output.record('trade', {
+					event: event,
+					id: trade.ID,
+					price: trade.Price,
+					quantity: trade.Quantity,
+					time: trade.Time,
+					trend: trade.Trend,
+					side: trade.Ask,
+					vwap: tape.vwap(),
+					volume: tape.volume,
+					trade_count: tape.count,
 				});
+			};
+			output.record('tape', {
+				trade_count: tape.count,
+				volume: tape.volume,
+				vwap: tape.vwap(),
+			});
+			tape.on('trade', trade => printTrade('new', trade));
+			tape.on('update', trade => printTrade('update', trade));
+			tape.on('reset', op => {
+				output.info('Trade history reset: ' + (op == 'I' ? 'resending' : 'cleared'));
 			});
 		});
 	}
@@ -327,7 +938,7 @@ class Actions
 			return ['account-id', 'market', 'stock', 'quantity'];
 		}
 
-		let idAccount = params.shift();
+		let idAccount = takeAccount(params, 4);
 		if (!idAccount) {
 			throw Error('Need account ID to place order through.');
 		}
@@ -343,39 +954,185 @@ class Actions
 		if (!quantity) {
 			throw Error('Need quantity to sell.');
 		}
+		quantity = parseQuantity(quantity);
 		return promise.then(() => {
-			console.log('Sell equity: account=' + idAccount
+			output.info('Sell equity: account=' + idAccount
 				+ ' market=' + market
 				+ ' stock=' + stock
 				+ ' quantity=' + quantity
 			);
-			return this.zenith.trading_placeOrder({
-				Account: idAccount,
-				Details: {
-					Exchange: idExchange,
-					Code: stock,
-					Side: 'Ask',
-					Style: 'Equity',
-					Type: 'Best',
-					Quantity: quantity,
-					Validity: 'UntilCancel',
-				},
-				Route: {
-					Algorithm: 'Market',
-					Market: market,
-				},
-			})
+			let order = new Zenith.OrderBuilder(idAccount)
+				.exchange(idExchange)
+				.sell(stock, quantity)
+				.best()
+				.untilCancel()
+				.route(market);
+			return this.zenith.trading_placeOrder(order)
 			.then(result => {
-				if (checkError(result, 'Equity purchase')) return;
-				console.log(result);
+				output.record('result', result);
 			});
 		});
 	}
 };
 
+/// Commands only available in the shell: name -> [params, description].
+const SHELL_COMMANDS = {
+	help: [[], 'List commands'],
+	streams: [[], 'List monitor, watch_orders and watch_conditions streams running in the background'],
+	stop: [['stream-id|all'], 'Stop a background stream'],
+	exit: [[], 'Disconnect and leave the shell'],
+	quit: [[], 'Same as exit'],
+};
+
+/// Names of all the actions, in alphabetical order.
+function getActionNames() {
+	return Object.getOwnPropertyNames(Actions.prototype)
+		.filter(name => name != 'constructor')
+		.sort();
+}
+
+/// Run commands typed in by the user, all over the same connection.
+/**
+ * Actions run as they do from the command line, except that monitor and
+ * watch_orders carry on in the background while other commands are entered,
+ * until stopped with the stop command.  History is kept in HISTORY_FILE.
+ */
+function runShell(zenith) {
+	let actions = new Actions(zenith);
+	let names = getActionNames().concat(Object.keys(SHELL_COMMANDS));
+
+	let getParams = command => {
+		if (getActionNames().indexOf(command) >= 0) return actions[command]();
+		if (SHELL_COMMANDS[command]) return SHELL_COMMANDS[command][0];
+		return [];
+	};
+
+	// Complete the command name, or the name of the parameter being typed
+	let complete = line => {
+		let words = line.replace(/^\s+/, '').split(/\s+/);
+		let word = words.pop();
+		if (words.length == 0) {
+			let hits = names.filter(name => name.startsWith(word));
+			return [hits.length ? hits : names, word];
+		}
+		let name = getParams(words[0].replace(/-/g, '_'))[words.length - 1];
+		if (!name || !name.startsWith(word)) return [[], word];
+		return [[name], word];
+	};
+
+	let history = [];
+	try {
+		history = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n')
+			.filter(line => line.length > 0)
+			.slice(-HISTORY_SIZE)
+			.reverse(); // readline wants the most recent first
+	} catch (e) {
+		// No history yet
+	}
+
+	let rl = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		completer: complete,
+		history: history,
+		historySize: HISTORY_SIZE,
+		removeHistoryDuplicates: true,
+		prompt: 'zenith> ',
+	});
+
+	let run = (command, params) => {
+		switch (command) {
+			case 'help':
+				getActionNames().forEach(name => {
+					console.log('  ' + name + '\t' + actions[name]().join(' '));
+				});
+				Object.keys(SHELL_COMMANDS).forEach(name => {
+					let [params, description] = SHELL_COMMANDS[name];
+					console.log('  ' + name + '\t' + params.join(' ') + '\t' + description);
+				});
+				break;
+			case 'streams':
+				if (streams.size == 0) console.log('no streams running');
+				streams.forEach((stream, id) => {
+					console.log('stream: id=' + id + ' ' + stream.description);
+				});
+				break;
+			case 'stop': {
+				let id = params.shift();
+				let ids = (id == 'all') ? Array.from(streams.keys()) : [Number(id)];
+				ids.forEach(id => {
+					let stream = streams.get(id);
+					if (!stream) {
+						console.error('No such stream: ' + id);
+						return;
+					}
+					stream.subs.forEach(sub => sub.unsubscribe());
+					streams.delete(id);
+					console.log('Stopped stream: id=' + id + ' ' + stream.description);
+				});
+				break;
+			}
+			case 'exit':
+			case 'quit':
+				rl.close();
+				return Promise.resolve();
+			default: {
+				if (getActionNames().indexOf(command) < 0) {
+					console.error('Unknown command: ' + command + ' (try help)');
+					break;
+				}
+				let p;
+				try {
+					p = actions[command](Promise.resolve(), params);
+				} catch (e) {
+					// Immediate error (e.g. missing params)
+					console.error('Use: ' + command + ' ' + actions[command]().join(' '));
+					console.error(command + ' error: ' + e.message);
+					break;
+				}
+				return p.catch(showError);
+			}
+		}
+		return Promise.resolve();
+	};
+
+	rl.on('line', line => {
+		let words = line.trim().split(/\s+/).filter(word => word.length > 0);
+		if (words.length == 0) {
+			rl.prompt();
+			return;
+		}
+		let command = words.shift().replace(/-/g, '_');
+		run(command, words).then(() => {
+			if (!closed) rl.prompt();
+		});
+	});
+
+	let closed = false;
+	rl.on('close', () => {
+		closed = true;
+		if (rl.terminal) { // history is only kept when typing at a terminal
+			try {
+				fs.writeFileSync(HISTORY_FILE, rl.history.slice().reverse().join('\n') + '\n');
+			} catch (e) {
+				console.log('Unable to save history: ' + e.message);
+			}
+		}
+		zenith.disconnect();
+		process.exit(0);
+	});
+
+	console.log('Connected.  Type help for a list of commands, exit to quit.');
+	rl.prompt();
+}
+
 let args = parseArgs(process.argv.slice(2), {
-	boolean: ['d', 'h'],
-	string: ['e'],
+	boolean: ['d', 'h', 'production'],
+	string: ['e', 'l', 'o', 'p', 'r', 's', 't'],
+	alias: {
+		o: 'output',
+		p: 'profile',
+	},
 });
 
 if (args.h || (args._.length == 0)) { // help
@@ -384,25 +1141,143 @@ if (args.h || (args._.length == 0)) { // help
 	console.log('Options:');
 	console.log('  -d\tEnable debug mode (show more output)');
 	console.log('  -e\tSet exchange to use, e.g. -e ASX[Demo]');
+	console.log('  -l\tSet log level, one of ' + Zenith.Logger.LEVELS.join(', '));
+	console.log('  -o, --output\tFormat for results, one of ' + OUTPUT_FORMATS.join(', ')
+		+ ' (default table)');
+	console.log('  -p, --profile\tUse this profile from ~/.zenithrc');
+	console.log('  --production\tConnect to the production environment instead of staging');
+	console.log('  -r\tReplay a file written with -t instead of connecting to Zenith');
+	console.log('  -s\tReplay speed, e.g. -s 10 for ten times faster (default 1)');
+	console.log('  -t\tWrite every Zenith message to this file as JSON lines');
 	console.log('\nActions:');
-	Object.getOwnPropertyNames(Actions.prototype).sort().forEach(d => {
-		if (d == 'constructor') return;
+	getActionNames().forEach(d => {
 		console.log('  ' + d + '\t' + Actions.prototype[d]().join(' '));
 	});
+	console.log('\nLogin details come from a profile in ~/.zenithrc, which is JSON like:');
+	console.log('  { "default": "demo", "profiles": { "demo": { "clientId": "...",');
+	console.log('    "clientSecret": "...", "username": "...", "environment": "staging",');
+	console.log('    "exchange": "ASX[Demo]", "account": "12345[Demo]" } } }');
+	console.log('Anything missing from the profile is taken from the environment variables');
+	console.log(Object.keys(Zenith.Profiles.ENV_VARS).map(k => Zenith.Profiles.ENV_VARS[k]).join(', '));
+	console.log('and ZENITH_PROFILE chooses the profile.  If no password is given it is');
+	console.log('asked for.  With an account in the profile, account-id can be left out.');
+	console.log('A "risk" member in the profile sets limits every order is checked against,');
+	console.log('e.g. { "maxOrderValue": 50000, "maxOrderQuantity": 10000 }, see RiskManager.');
+	console.log('\nConditions (stop, trailing stop, take-profit and OCO orders) are kept in');
+	console.log(CONDITIONS_FILE + ', and only placed while watch-conditions is running.');
+	console.log('\nUse "shell" as the only action to enter actions interactively, over');
+	console.log('a single connection.');
+	console.log('\nResults go to stdout and everything else to stderr, except that');
+	console.log('messages also go to stdout with --output table.  The exit code is 1 if');
+	console.log('an action fails, or ' + EXIT_USAGE + ' if the command line is wrong.');
 	process.exit(0);
 }
 
+output = new Output(args.output || 'table');
+if (OUTPUT_FORMATS.indexOf(output.format) < 0) {
+	console.error('Unknown output format: ' + output.format);
+	process.exit(EXIT_USAGE);
+}
+
+let profiles, settings;
+try {
+	profiles = Zenith.Profiles.load();
+	settings = profiles.get(args.profile || undefined);
+} catch (e) {
+	console.error(e.message);
+	process.exit(EXIT_USAGE);
+}
+if (profiles.insecure) {
+	console.error('Warning: ' + profiles.file + ' contains a password but can be read by'
+		+ ' other users, use "chmod 600 ' + profiles.file + '" to fix');
+}
+
 if (args.e) {
 	idExchange = args.e;
+} else if (settings.exchange) {
+	idExchange = settings.exchange;
+}
+defaultAccount = settings.account;
+output.info('Using exchange "' + idExchange + '"');
+
+// Keep stdout for results unless they're only for people to read
+logger = new Zenith.Logger(args.l || (args.d ? 'trace' : 'info'),
+	(output.format == 'table') ? console : { log: console.error });
+if (Zenith.Logger.LEVELS.indexOf(logger.level) < 0) {
+	console.error('Unknown log level: ' + logger.level);
+	process.exit(EXIT_USAGE);
 }
-console.log('Using exchange "' + idExchange + '"');
 
-let zenith = new Zenith.WebSockets(config);
+let zenithOptions = {};
+if (args.r) {
+	let replay = Zenith.ReplayTransport.fromFile(args.r, {
+		speed: Number(args.s || 1),
+	});
+	replay.on('end', () => output.info('End of replay'));
+	zenithOptions = replay.options();
+}
+if (settings.risk) {
+	zenithOptions.risk = new Zenith.RiskManager(settings.risk);
+	zenithOptions.risk.on('kill', reason => output.info('Kill switch: ' + reason));
+}
+
+let credentials = {
+	clientId: settings.clientId,
+	clientSecret: settings.clientSecret,
+	username: settings.username,
+	password: settings.password,
+};
+if (!args.r && !(credentials.clientId && credentials.clientSecret && credentials.username)) {
+	console.error('Missing login details, add a profile to ' + Zenith.Profiles.DEFAULT_FILE
+		+ ' or set ' + ['clientId', 'clientSecret', 'username']
+			.map(k => Zenith.Profiles.ENV_VARS[k]).join(', '));
+	process.exit(EXIT_USAGE);
+}
+
+let zenith;
+try {
+	zenith = new Zenith.WebSockets(credentials, Object.assign({
+		environment: args.production ? 'production' : (settings.environment || 'staging'),
+	}, zenithOptions));
+} catch (e) {
+	console.error(e.message);
+	process.exit(EXIT_USAGE);
+}
 if (args.d) zenith.debug = true;
+zenith.logger = logger;
+if (args.t) {
+	zenith.traceStream = fs.createWriteStream(args.t, {
+		flags: 'a',
+	});
+}
+zenith.on('reconnecting', info => {
+	output.info('Connection lost, reconnecting in ' + info.delay + 'ms (attempt '
+		+ info.attempt + ')');
+});
+zenith.on('reconnected', () => output.info('Reconnected'));
+zenith.on('reconnectFailed', () => {
+	console.error('Unable to reconnect, giving up');
+	process.exit(EXIT_FAILURE);
+});
 
 let shouldExit = true;
 
-zenith.connect().then(() => {
+let login = Promise.resolve();
+if (!args.r && (credentials.password === undefined)) {
+	login = promptPassword('Password for ' + credentials.username + ': ').then(password => {
+		credentials.password = password;
+	}, err => {
+		console.error(err.message + ', set ' + Zenith.Profiles.ENV_VARS.password);
+		process.exit(EXIT_USAGE);
+	});
+}
+
+login.then(() => zenith.connect()).then(() => {
+	if ((args._.length == 1) && (args._[0] == 'shell')) {
+		runShell(zenith);
+		return;
+	}
+
 	let p = Promise.resolve();
 
 	// Parse the command line and run the given jobs
@@ -410,26 +1285,32 @@ zenith.connect().then(() => {
 	let a = new Actions(zenith);
 	while (actions.length) {
 		let action = actions.shift().replace('-', '_');
-		if (!a[action]) {
-			console.log('Unknown action: ' + action);
-			process.exit(1);
+		if (getActionNames().indexOf(action) < 0) {
+			console.error('Unknown action: ' + action);
+			zenith.disconnect();
+			process.exit(EXIT_USAGE);
 		}
 		try {
 			p = a[action](p, actions);
-			if (action == 'monitor') shouldExit = false;
+			if (['monitor', 'watch_orders', 'watch_conditions'].indexOf(action) >= 0) {
+				shouldExit = false;
+			}
 		} catch (e) {
 			// Immediate error (e.g. missing params)
-			console.log('Use: ' + action + ' ' + a[action]().join(' ') + '\n');
-			console.log(action + ' error: ' + e.message);
+			console.error('Use: ' + action + ' ' + a[action]().join(' ') + '\n');
+			console.error(action + ' error: ' + e.message);
 			zenith.disconnect();
-			process.exit(1);
+			process.exit(EXIT_USAGE);
 		}
 	}
 	p.then(() => {
 		if (shouldExit) zenith.disconnect();
 	}).catch(err => {
-		console.log('Error:', err);
+		showError(err);
 		zenith.disconnect();
-		process.exit(1);
+		process.exit(EXIT_FAILURE);
 	});
+}).catch(err => {
+	showError(err);
+	process.exit(EXIT_FAILURE);
 });
@@ -0,0 +1,146 @@
+'use strict';
+
+let EventEmitter = require('events');
+
+/// Recent trades for a security, kept up to date from a Trades subscription.
+/**
+ * Zenith sends trades as a list of operations, with the code in the O member:
+ *
+ *  - 'I': Initialise.  The tape is being sent again from the start, so
+ *         everything so far should be discarded.  ID is the ID of the most
+ *         recent trade at the time.
+ *  - 'A': Add.  Trade is a new trade: { ID, Price, Quantity, Time, ... }
+ *  - 'U': Update.  Trade replaces the earlier trade with the same ID, e.g. when
+ *         a trade has been corrected or cancelled.
+ *  - 'C': Clear.  Discard all trades, e.g. at the start of a new session.
+ *
+ * Only the most recent maxTrades trades are kept, but the session totals
+ * include every trade since the last reset.  Updates to trades no longer
+ * kept can't be applied to the totals, as what they replace isn't known, so
+ * the totals only take in corrections to the trades still on the tape.
+ *
+ * Events:
+ *  - 'trade' (trade): A new trade has been added.
+ *  - 'update' (trade, previous): A trade has been changed.  previous is
+ *      undefined if the trade was too old to still be kept.
+ *  - 'reset' (op): All trades were discarded.  op is 'I' or 'C'.
+ */
+class TradeTape extends EventEmitter
+{
+	/**
+	 * @param Number maxTrades
+	 *   Maximum number of trades to keep.  Older trades are discarded.
+	 */
+	constructor(market, symbol, maxTrades = 1000) {
+		super();
+		this.market = market;
+		this.symbol = symbol;
+		this.maxTrades = maxTrades;
+		this.reset();
+	}
+
+	/// Discard all trades and totals.
+	/*private*/ reset() {
+		this.trades = []; // oldest first
+		this.initialID = undefined;
+		this.volume = 0;
+		this.value = 0;
+		this.count = 0;
+	}
+
+	/// Apply operations received from the server.
+	/**
+	 * @param Array ops
+	 *   Trade operations as sent by the server.  A single operation object is
+	 *   also accepted.
+	 */
+	apply(ops) {
+		if (!ops) return;
+		if (!(ops instanceof Array)) ops = [ops];
+		ops.forEach(d => {
+			switch (d.O) {
+				case 'I':
+				case 'C':
+					this.reset();
+					if (d.O == 'I') this.initialID = d.ID;
+					this.emit('reset', d.O);
+					break;
+				case 'A':
+					if (!d.Trade) break;
+					this.add(d.Trade);
+					this.emit('trade', d.Trade);
+					break;
+				case 'U': {
+					if (!d.Trade) break;
+					let previous = this.update(d.Trade);
+					this.emit('update', d.Trade, previous);
+					break;
+				}
+				default:
+					// Unknown operation, ignore it
+					break;
+			}
+		});
+	}
+
+	/*private*/ add(trade) {
+		// Trades normally arrive in order, but in case one doesn't, insert it
+		// before any later trades.
+		let index = this.trades.length;
+		while ((index > 0) && (TradeTape.compareIDs(this.trades[index - 1].ID, trade.ID) > 0)) {
+			index--;
+		}
+		this.trades.splice(index, 0, trade);
+		if (this.trades.length > this.maxTrades) {
+			this.trades.splice(0, this.trades.length - this.maxTrades);
+		}
+
+		this.volume += trade.Quantity || 0;
+		this.value += (trade.Price || 0) * (trade.Quantity || 0);
+		this.count++;
+	}
+
+	/// Replace an existing trade.
+	/**
+	 * @return The trade that was replaced, or undefined if it is no longer kept
+	 *   (in which case the totals are left as they are.)
+	 */
+	/*private*/ update(trade) {
+		let index = this.trades.findIndex(t => t.ID == trade.ID);
+		if (index < 0) return undefined;
+		let previous = this.trades[index];
+		this.trades[index] = trade;
+
+		this.volume += (trade.Quantity || 0) - (previous.Quantity || 0);
+		this.value += (trade.Price || 0) * (trade.Quantity || 0)
+			- (previous.Price || 0) * (previous.Quantity || 0);
+		return previous;
+	}
+
+	/// Most recent trade, or undefined if there have been none.
+	last() {
+		return this.trades[this.trades.length - 1];
+	}
+
+	/// Volume weighted average price for the session.
+	/**
+	 * @return Number, or undefined if nothing has traded.
+	 */
+	vwap() {
+		if (this.volume == 0) return undefined;
+		return this.value / this.volume;
+	}
+
+	/// Order trade IDs, which may be numbers or strings (numeric or not.)
+	static compareIDs(a, b) {
+		if ((a === b) || (a === undefined) || (b === undefined)) return 0;
+		let numbers = !isNaN(a) && !isNaN(b) && (String(a).trim() !== '')
+			&& (String(b).trim() !== '');
+		if (numbers) return Number(a) - Number(b);
+		a = String(a);
+		b = String(b);
+		return (a < b) ? -1 : ((a > b) ? 1 : 0);
+	}
+};
+
+module.exports = TradeTape;
@@ -0,0 +1,167 @@
+'use strict';
+
+let stream = require('stream');
+
+/// What to do when an update arrives and the buffer is full.
+const POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+
+/// Subscription updates waiting to be read, as an async iterator.
+/**
+ * Created by ZenithWS.updates() and the *Updates() functions, e.g.
+ *
+ *   for await (let update of zenith.securityUpdates('ASX', 'BHP')) {
+ *     ...
+ *   }
+ *
+ * Updates are buffered until read.  Once bufferSize are waiting, the policy
+ * decides what happens to the next one:
+ *
+ *  - 'drop-oldest': The oldest waiting update is discarded.
+ *  - 'drop-newest': The new update is discarded.
+ *  - 'block': Nothing is discarded.  The onBlock function is called so the
+ *      source can stop sending, and called again once there is room.
+ *
+ * Finishing early, e.g. with break, or calling close() ends the iteration and
+ * calls onClose, which unsubscribes.  If the subscription fails, the next read
+ * is rejected with the error.
+ *
+ * stream() gives the same updates as an object mode Readable stream instead.
+ */
+class UpdateQueue
+{
+	/**
+	 * @param object options
+	 *   Optional, with members:
+	 *    - Number bufferSize: Most updates to keep waiting.  Default 100.
+	 *    - string policy: One of UpdateQueue.POLICIES.  Default 'drop-oldest'.
+	 *    - function onClose: Called once when the queue is closed.
+	 *    - function onBlock: Called as onBlock(true) when the buffer fills up
+	 *        with the 'block' policy, and onBlock(false) once there is room.
+	 *
+	 * @throw TypeError if the policy is not known.
+	 */
+	constructor(options = {}) {
+		this.bufferSize = options.bufferSize || 100;
+		this.policy = options.policy || 'drop-oldest';
+		if (POLICIES.indexOf(this.policy) < 0) {
+			throw new TypeError('Unknown buffer policy: ' + this.policy);
+		}
+		this.onClose = options.onClose;
+		this.onBlock = options.onBlock;
+		this.buffer = []; // updates not read yet, oldest first
+		this.readers = []; // { fulfill, reject } waiting for an update
+		this.dropped = 0; // updates discarded because the buffer was full
+		this.blocked = false;
+		this.closed = false;
+		this.error = undefined;
+	}
+
+	/// Add an update from the subscription.
+	push(update) {
+		if (this.closed) return;
+		if (this.readers.length) {
+			this.readers.shift().fulfill({ value: update, done: false });
+			return;
+		}
+		if (this.buffer.length >= this.bufferSize) {
+			switch (this.policy) {
+				case 'drop-oldest':
+					this.buffer.shift();
+					this.dropped++;
+					break;
+				case 'drop-newest':
+					this.dropped++;
+					return;
+				case 'block':
+					this.setBlocked(true);
+					break;
+			}
+		}
+		this.buffer.push(update);
+	}
+
+	/// End the iteration with an error, once the buffered updates have been read.
+	fail(err) {
+		if (this.closed) return;
+		this.error = err;
+		this.readers.splice(0).forEach(r => r.reject(err));
+		this.close();
+	}
+
+	/// Stop receiving updates and unsubscribe.
+	/**
+	 * Anything still in the buffer can be read, after which the iteration
+	 * ends.
+	 */
+	close() {
+		if (this.closed) return;
+		this.closed = true;
+		this.readers.splice(0).forEach(r => r.fulfill({ value: undefined, done: true }));
+		this.setBlocked(false);
+		if (this.onClose) this.onClose();
+	}
+
+	/// Async iterator protocol: Get the next update.
+	/**
+	 * @return Promise, fulfilled with { value, done }.
+	 */
+	next() {
+		if (this.buffer.length) {
+			let update = this.buffer.shift();
+			if (this.buffer.length < this.bufferSize) this.setBlocked(false);
+			return Promise.resolve({ value: update, done: false });
+		}
+		if (this.error) return Promise.reject(this.error);
+		if (this.closed) return Promise.resolve({ value: undefined, done: true });
+		return new Promise((fulfill, reject) => {
+			this.readers.push({
+				fulfill: fulfill,
+				reject: reject,
+			});
+		});
+	}
+
+	/// Async iterator protocol: Called when the loop is left early.
+	return(value = undefined) {
+		this.buffer = [];
+		this.close();
+		return Promise.resolve({ value: value, done: true });
+	}
+
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+
+	/// Read the updates as an object mode Readable stream.
+	/**
+	 * The stream only asks for an update when the previous one has been
+	 * consumed, so the queue's buffer and policy still apply.  Destroying the
+	 * stream closes the queue.
+	 */
+	stream() {
+		let readable = new stream.Readable({
+			objectMode: true,
+			highWaterMark: 1,
+			read: () => {
+				this.next().then(result => {
+					readable.push(result.done ? null : result.value);
+				}, err => readable.destroy(err));
+			},
+			destroy: (err, cb) => {
+				this.return();
+				cb(err);
+			},
+		});
+		return readable;
+	}
+
+	/*private*/ setBlocked(blocked) {
+		if (blocked == this.blocked) return;
+		this.blocked = blocked;
+		if (this.onBlock) this.onBlock(blocked);
+	}
+};
+
+UpdateQueue.POLICIES = POLICIES;
+
+module.exports = UpdateQueue;
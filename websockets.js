@@ -1,14 +1,94 @@
 'use strict';
 
+let EventEmitter = require('events');
 let OAuth2 = require('client-oauth2');
 let WebSocket = require('ws');
+let Logger = require('./logger.js');
 let ZenithError = require('./error.js');
+let BarAggregator = require('./baraggregator.js');
+let OrderBook = require('./orderbook.js');
+let Normaliser = require('./normaliser.js');
+let OrderBuilder = require('./orderbuilder.js');
+let OrderTracker = require('./ordertracker.js');
+let Portfolio = require('./portfolio.js');
+let SendQueue = require('./sendqueue.js');
+let TradeTape = require('./tradetape.js');
+let UpdateQueue = require('./updatequeue.js');
 
-const PING_TIMEOUT_MS = 30000;
-const CALL_TIMEOUT_MS = 10000;
-const SUB_PING_TIMEOUT_MS = 10000;
+/// Default timeouts, in milliseconds.
+const TIMEOUTS = {
+	ping: 30000, // send a ping after this long without any traffic
+	call: 10000, // fail a call if there is no response in this time
+	subscriptionPing: 10000, // how often to check whether subscriptions remain
+	queue: 30000, // fail a request still waiting to be sent after this long
+	completion: 0, // fail trading_placeOrder(order, true) after this long, 0 for never
+};
+
+/// Named sets of URLs to connect to, see the environment constructor option.
+const ENVIRONMENTS = {
+	production: {
+		authorizationUri: 'https://api.paritech.com/Paritech.AuthServer/OAuth2/Authorise',
+		accessTokenUri: 'https://api.paritech.com/Paritech.AuthServer/OAuth2/Token',
+		ws: 'wss://wsapi.paritech.com/Zenith',
+	},
+	staging: {
+		authorizationUri: 'https://apistaging.paritech.com/Paritech.AuthServer/OAuth2/Authorise',
+		accessTokenUri: 'https://apistaging.paritech.com/Paritech.AuthServer/OAuth2/Token',
+		ws: 'wss://wsapistaging.paritech.com/Zenith',
+	},
+};
 
-class ZenithWS
+/// Make a standard (e.g. browser) WebSocket look like one from the ws module.
+/**
+ * Only the parts used by ZenithWS are provided.  Pings are handled by the
+ * browser itself, so ping() does nothing.
+ */
+function wrapWebSocket(socket) {
+	let wrapped = new EventEmitter();
+	socket.addEventListener('open', () => wrapped.emit('open'));
+	socket.addEventListener('error', e => wrapped.emit('error', e.error || e));
+	socket.addEventListener('close', e => wrapped.emit('close', e.code, e.reason));
+	socket.addEventListener('message', e => wrapped.emit('message', e.data));
+	wrapped.socket = socket;
+	wrapped.send = (data, cb) => {
+		try {
+			socket.send(data);
+		} catch (e) {
+			if (!cb) throw e;
+			cb(e);
+			return;
+		}
+		if (cb) cb();
+	};
+	wrapped.close = () => socket.close();
+	wrapped.ping = () => {};
+	wrapped.pong = () => {};
+	return wrapped;
+}
+
+/// Connection to the Zenith WebSockets API.
+/**
+ * Events:
+ *  - 'open' ({ url, reconnect }): Connected.  reconnect is true if this is an
+ *      automatic reconnection, in which case subscriptions are being re-issued.
+ *  - 'close' ({ code, reason, intentional }): Connection closed.  intentional
+ *      is true if disconnect() was called, otherwise a reconnection attempt
+ *      will follow.
+ *  - 'reconnecting' ({ attempt, delay, error }): About to try reconnecting
+ *      after delay ms.  error is why the previous attempt failed, if any.
+ *  - 'reconnected' ({ attempt }): Reconnected and resubscribed.
+ *  - 'reconnectFailed' ({ attempt, error }): Given up trying to reconnect.
+ *  - 'error' (err): WebSocket error.  If nothing is listening for this event,
+ *      the error is logged instead of being thrown.
+ *  - 'tokenRefreshed' (token): A new OAuth token was obtained and sent to the
+ *      server.
+ *  - 'authFailed' (err): Unable to log in, or to refresh the OAuth token.
+ *  - 'message' (msg): Every message received from the server, after parsing
+ *      and normalising.
+ *  - 'subscriptionError' ({ controller, topic, error }): A subscription
+ *      request failed, including those re-issued after reconnecting.
+ */
+class ZenithWS extends EventEmitter
 {
 	/**
 	 * @param object credentials
@@ -17,19 +97,131 @@ class ZenithWS
 	 *    - string clientSecret: Corresponding secret key for client ID.
 	 *    - string username: Account username this client ID can connect as.
 	 *    - string password: Account password for username.
+	 *
+	 * @param object options
+	 *   Connection settings, all optional:
+	 *    - string environment: Name of the server to use, one of
+	 *      ZenithWS.ENVIRONMENTS (default 'staging'.)
+	 *    - object endpoints: URLs to use instead of (or in addition to) those
+	 *      for the environment, e.g. for a proxy or a local server.  Has
+	 *      members authorizationUri, accessTokenUri and ws.
+	 *    - string apiVersion: API version to request.
+	 *    - object timeouts: Times in milliseconds to use instead of the
+	 *      defaults in ZenithWS.TIMEOUTS, with members ping, call,
+	 *      subscriptionPing, queue and completion.
+	 *    - Number rateLimit: Most requests to send per second, or 0 (the
+	 *      default) for no limit.  Can be changed later in this.queue.
+	 *    - object reconnect: Settings to change in this.reconnectOptions.
+	 *    - Logger logger: Where to send log messages, see this.logger.
+	 *    - bool rawResults: true to fulfil trading calls with the server's
+	 *      response even if it is a failure, and to reject failed calls with
+	 *      whatever the server sent, as in earlier versions.  See
+	 *      getResponseError().
+	 *    - bool normalise: false to leave received data as the server sent it,
+	 *      instead of converting dates to Date objects (or null where Zenith
+	 *      means no date) and numbers to Numbers.  See Normaliser.
+	 *    - function decimal: Called with each received price as a string, to
+	 *      keep an exact decimal value as well as the Number, e.g.
+	 *      text => new Big(text).  See Normaliser.getDecimal().
+	 *    - PaperBroker simulator: Send Trading requests here instead of to the
+	 *      server, see PaperBroker.options().
+	 *    - RiskManager risk: Check every order against these limits before
+	 *      placing or amending it, see RiskManager.
+	 *    - function createWebSocket(url, protocol, options): Open a connection.
+	 *      Must return an object behaving like a WebSocket from the ws module,
+	 *      or a standard (browser) WebSocket.  options.headers includes the
+	 *      OAuth Authorization header.
+	 *    - function createOAuthClient(settings): Return an OAuth client with
+	 *      the same interface as one from the client-oauth2 module.
+	 *   For compatibility, this may also be true to use the production
+	 *   environment, or false for staging, in which case apiVersion is the
+	 *   third parameter.
 	 */
-	constructor(credentials, useProduction, apiVersion = undefined) {
+	constructor(credentials, options = undefined, apiVersion = undefined) {
+		super();
+		if ((typeof options != 'object') || (options === null)) {
+			options = {
+				environment: options ? 'production' : 'staging',
+				apiVersion: apiVersion,
+			};
+		}
+		let environment = options.environment || 'staging';
+		if (!ENVIRONMENTS[environment]) {
+			throw new ZenithError('BADENV', 'Unknown environment: ' + environment);
+		}
 		this.credentials = credentials;
-		this.useProduction = useProduction;
-		this.apiVersion = apiVersion;
+		this.environment = environment;
+		this.useProduction = (environment == 'production');
+		this.apiVersion = options.apiVersion;
 
-		this.debug = false;
-		this.reconnect = true;
+		/// URLs to connect to.  May be changed before calling connect().
+		this.endpoints = Object.assign({}, ENVIRONMENTS[environment], options.endpoints);
+
+		/// Timeouts in milliseconds, see ZenithWS.TIMEOUTS.
+		this.timeouts = Object.assign({}, TIMEOUTS, options.timeouts);
+
+		/// Functions to create the WebSocket and OAuth client with.
+		this.createWebSocket = options.createWebSocket || ZenithWS.defaultWebSocket;
+		this.createOAuthClient = options.createOAuthClient || ZenithWS.defaultOAuthClient;
+
+		this.debug = false; // show debug output when no logger has been set
+		this.logger = options.logger || null; // see Logger, defaults to the console
+		this.traceStream = null; // stream to write each message to as a JSON line
+		this.rawResults = !!options.rawResults; // don't turn failures into errors
+		this.reconnect = false;
 		this.connected = false;
 		this.lastTransactionID = 0;
 		this.pending = {}; // API calls waiting for a server response
-		this.subscriptions = []; // Things we want unsolicited notifications about
+		this.subscriptions = {}; // Things we want unsolicited notifications about
 		this.fnDisconnect = null; // callback on disconnection
+		this.fnReconnect = null; // callback on reconnection progress
+
+		/// Converts received data into consistent types, or null to leave it.
+		this.normaliser = (options.normalise === false) ? null : new Normaliser({
+			decimal: options.decimal,
+		});
+
+		/// Handles Trading requests locally instead of the server, if set.
+		this.simulator = options.simulator || null;
+		if (this.simulator) this.simulator.attach(this);
+
+		/// Checks orders before they are placed, if set.
+		this.risk = options.risk || null;
+		if (this.risk) this.risk.attach(this);
+
+		/// Requests waiting to be sent, see z_send().
+		this.queue = new SendQueue(this.z_transmit.bind(this), options.rateLimit || 0);
+		this.queue.pause(); // until connected
+
+		/// Number of z_pauseReading() calls not yet resumed.
+		this.readPauses = 0;
+
+		/// Settings for automatic reconnection.
+		/**
+		 * The delay before attempt n is initialDelayMs * factor^(n-1), capped at
+		 * maxDelayMs, then reduced by a random amount of up to `jitter` (0..1) of
+		 * itself so many clients don't all reconnect at the same instant.
+		 */
+		this.reconnectOptions = {
+			maxAttempts: 10, // give up after this many failed attempts in a row
+			initialDelayMs: 1000,
+			maxDelayMs: 60000,
+			factor: 2,
+			jitter: 0.5,
+			retryPending: false, // true to resend unanswered calls after reconnecting
+		};
+		Object.assign(this.reconnectOptions, options.reconnect);
+		this.reconnectAttempt = 0; // 0 when not currently reconnecting
+	}
+
+	/// Open a connection using the ws module, the default createWebSocket option.
+	static defaultWebSocket(url, protocol, options) {
+		return new WebSocket(url, protocol, options);
+	}
+
+	/// Create a client-oauth2 client, the default createOAuthClient option.
+	static defaultOAuthClient(settings) {
+		return new OAuth2(settings);
 	}
 
 	/// Authenticate with OAuth and set this.token.
@@ -40,15 +232,10 @@ class ZenithWS
 			scopes: [
 				'http://api.paritech.com/wsapi'
 			],
+			authorizationUri: this.endpoints.authorizationUri,
+			accessTokenUri: this.endpoints.accessTokenUri,
 		};
-		if (this.useProduction) {
-			authData.authorizationUri = 'https://api.paritech.com/Paritech.AuthServer/OAuth2/Authorise';
-			authData.accessTokenUri = 'https://api.paritech.com/Paritech.AuthServer/OAuth2/Token';
-		} else {
-			authData.authorizationUri = 'https://apistaging.paritech.com/Paritech.AuthServer/OAuth2/Authorise';
-			authData.accessTokenUri = 'https://apistaging.paritech.com/Paritech.AuthServer/OAuth2/Token';
-		}
-		this.oauth = new OAuth2(authData);
+		this.oauth = this.createOAuthClient(authData);
 		return this.oauth.owner.getToken(this.credentials.username, this.credentials.password)
 			.then(token => {
 				this.token = token;
@@ -57,20 +244,27 @@ class ZenithWS
 				this.auth_setRefresh();
 			})
 			.catch(err => {
-				if (err.code) { // PopsicleError
-					throw new ZenithError(err.code, 'Connection error: ' + err.code);
+				let error;
+				if (err.code && (err.code != 'EAUTH')) { // PopsicleError
+					error = new ZenithError.ConnectionError(err.code, 'Connection error: ' + err.code);
 				} else {
-					let data = JSON.parse(err.body);
+					// OAuth error response, already parsed if code is EAUTH
+					let data = err.body;
+					if (typeof data == 'string') data = JSON.parse(data);
 					switch (data.error) {
 						case 'invalid_client':
-							throw new ZenithError('BADCREDS', 'Bad credentials: ' + data.error_description);
+							error = new ZenithError.AuthError('BADCREDS', 'Bad credentials: ' + data.error_description);
+							break;
 						case 'unauthorized_client':
-							throw new ZenithError('NOACCESS', 'Unauthorized client (credentials ok, no access)');
+							error = new ZenithError.AuthError('NOACCESS', 'Unauthorized client (credentials ok, no access)');
+							break;
 						default:
-							throw new ZenithError(data.error, data.error_description);
+							error = new ZenithError.AuthError(data.error, data.error_description);
 							break;
 					}
 				}
+				this.emit('authFailed', error);
+				throw error;
 			});
 	}
 
@@ -81,11 +275,19 @@ class ZenithWS
 
 	/// Set up a timer to refresh the token before it expires.
 	/*private*/ auth_setRefresh() {
-		if (this.debug) console.log('[zenith] Token expires in ' + this.token.data.expires_in
-			+ ' seconds, setting timer');
+		this.log('debug', 'Token expires soon, setting refresh timer', {
+			expiresIn: this.token.data.expires_in,
+		});
 		if (this.tokenTimer) clearTimeout(this.tokenTimer);
 		this.tokenTimer = setTimeout(() => {
-			this.auth_refreshToken();
+			this.auth_refreshToken().catch(err => {
+				// Not a problem if we disconnected while waiting for the response
+				if (!this.reconnect) return;
+				this.log('warn', 'Unable to refresh token', {
+					error: err,
+				});
+				this.emit('authFailed', err);
+			});
 		}, this.token.data.expires_in * 900); // 900 = 10% less seconds -> milliseconds
 	}
 
@@ -96,87 +298,365 @@ class ZenithWS
 			this.auth_setRefresh();
 			// Call the API to notify it of our new token
 			return this.auth_authToken();
+		}).then(() => {
+			this.emit('tokenRefreshed', this.token);
 		});
 	}
 
+	/// Emit an 'error' event, or log the error if nobody is listening.
+	/**
+	 * Node throws unhandled 'error' events, which would take down programs
+	 * written before ZenithWS emitted events.
+	 */
+	/*private*/ emitError(err) {
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err);
+		} else {
+			this.log('error', 'WebSocket error', {
+				error: err,
+			});
+		}
+	}
+
+	/// Pass a message on to the logger.
+	/**
+	 * Without a logger, messages go to the console, with trace and debug
+	 * messages only shown if this.debug is set.
+	 *
+	 * @param string level
+	 *   One of Logger.LEVELS.
+	 *
+	 * @param object fields
+	 *   Optional details, which will be redacted before being logged.
+	 */
+	/*private*/ log(level, message, fields = undefined) {
+		let logger = this.logger;
+		if (!logger) {
+			if (!this.defaultLogger) this.defaultLogger = new Logger();
+			logger = this.defaultLogger;
+			logger.level = this.debug ? 'trace' : 'warn';
+		}
+		// Don't copy the fields of every message only to throw them away.
+		// Loggers without a level are given everything.
+		if (Logger.LEVELS.indexOf(level) < Logger.LEVELS.indexOf(logger.level)) return;
+		if (fields !== undefined) fields = Logger.redact(fields);
+		logger[level](message, fields);
+	}
+
+	/// Write a message to the protocol trace, if there is one.
+	/**
+	 * @param string direction
+	 *   'in' for messages from the server, 'out' for messages to it.
+	 *
+	 * @param Number latencyMs
+	 *   For responses, how long after the request the response arrived.
+	 */
+	/*private*/ traceMessage(direction, msg, latencyMs = undefined) {
+		if (!this.traceStream) return;
+		let record = {
+			time: new Date().toISOString(),
+			direction: direction,
+		};
+		if (latencyMs !== undefined) record.latencyMs = latencyMs;
+		record.message = Logger.redact(msg);
+		this.traceStream.write(JSON.stringify(record) + '\n');
+	}
+
 	/// Authenticate and set up the WebSocket connection.
-	connect(fnDisconnect) {
+	/**
+	 * @param function fnDisconnect
+	 *   Optional callback, run with no parameters whenever an established
+	 *   connection drops.
+	 *
+	 * @param function fnReconnect
+	 *   Optional callback, run as fnReconnect(event, info) to report on
+	 *   automatic reconnection.  event is one of:
+	 *    - 'attempt': info is { attempt, delay, error } where error is the
+	 *      reason the previous attempt failed (undefined for the first one).
+	 *    - 'success': info is { attempt }.  All subscriptions have been
+	 *      re-issued.
+	 *    - 'giveup': info is { attempt, error }.  No further attempts will be
+	 *      made.
+	 */
+	connect(fnDisconnect, fnReconnect) {
 		this.fnDisconnect = fnDisconnect;
+		this.fnReconnect = fnReconnect;
+		this.reconnect = true;
 		return this.auth()
 			.then(this.connect_ws.bind(this))
+			.catch(err => {
+				// Nothing will be retried, so fail anything queued in the meantime
+				this.reconnect = false;
+				this.pending_reject(new ZenithError.ConnectionError('DISCONNECTED', 'Unable to connect'));
+				throw err;
+			})
 		;
 	}
 
 	/// Connect to the WebSocket using this.token as credentials.
 	/*private*/ connect_ws() {
 		return new Promise((fulfill, reject) => {
-			let url = '';
-			if (this.useProduction) {
-				url = 'wss://wsapi.paritech.com/Zenith';
-			} else {
-				url = 'wss://wsapistaging.paritech.com/Zenith';
-			}
+			let url = this.endpoints.ws;
 			if (this.apiVersion) {
 				url += '?version=' + this.apiVersion;
 			}
+			let ws;
 			try {
 				let wsOptions = {};
 				this.token.sign(wsOptions);
-				this.ws = new WebSocket(url, 'ZenithJson', wsOptions);
+				ws = this.createWebSocket(url, 'ZenithJson', wsOptions);
+				if (!ws.on && ws.addEventListener) ws = wrapWebSocket(ws);
 			} catch (e) {
-				console.log(e);
+				reject(e);
 				return;
 			}
+			this.ws = ws;
 
-			this.ws.on('open', () => {
+			ws.on('open', () => {
 				// Connected successfully
 				this.connected = true;
 				this.resetPingTimeout();
+				this.emit('open', {
+					url: url,
+					reconnect: this.reconnectAttempt > 0,
+				});
+				this.queue.resume(); // send anything held back while disconnected
+				if (this.readPauses) this.ws_setPaused(true);
 				fulfill();
 			});
 
-			this.ws.on('error', e => {
-				console.log('WebSocket error:', e);
+			ws.on('error', e => {
+				this.emitError(e);
 				if (!this.connected) {
 					// Haven't connected yet
-					this.reconnect = false; // don't try again
+					if (this.reconnectAttempt == 0) {
+						// Initial connection, so don't try again
+						this.reconnect = false;
+					}
 					reject(e);
 				}
 				// else we are already connected, ignore and let the 'close'
 				// handler try to reconnect
 			});
 
-			this.ws.on('close', () => {
+			ws.on('close', (code, reason) => {
 				// Note this happens on a connection error (like connection refused) as
 				// well as on intentional disconnection.
+				if (ws !== this.ws) return; // an old socket we have already replaced
+				let wasConnected = this.connected;
+				this.connected = false;
+				this.queue.pause();
+				if (this.pingTimer) clearTimeout(this.pingTimer);
+				this.pingTimer = undefined;
+				if (!wasConnected) {
+					// Never opened, so this connection attempt has failed.  This is a
+					// no-op if the error handler has already rejected the promise.
+					reject(new ZenithError.ConnectionError('DISCONNECTED', 'Connection closed before it was established'));
+					return;
+				}
+				this.pending_onDisconnect();
+				this.emit('close', {
+					code: code,
+					reason: reason,
+					intentional: !this.reconnect,
+				});
 				if (!this.reconnect) return; // intentional disconnection
-				if (this.debug) console.log('[zenith] Disconnected, notifying callback');
-				if (this.fnDisconnect) fnDisconnect();
-				//console.log('[zenith] Disconnected, reconnecting...');
-				//this.try_reconnect(3);
+				this.log('info', 'Disconnected, reconnecting', {
+					code: code,
+				});
+				if (this.fnDisconnect) this.fnDisconnect();
+				this.try_reconnect();
 			});
 
-			this.ws.on('ping', (data, flags) => {
-				if (this.debug) console.log('[zenith] Received a ping, responding with pong');
+			ws.on('ping', (data, flags) => {
+				this.log('trace', 'Received a ping, responding with pong');
 				this.resetPingTimeout();
-				this.ws.pong(data, null, false);
+				ws.pong(data, null, false);
 			});
 
-			this.ws.on('message', this.ws_onMessage.bind(this));
+			ws.on('message', this.ws_onMessage.bind(this));
+		});
+	}
+
+	/// Work out how long to wait before the given reconnection attempt.
+	/*private*/ reconnect_getDelay(attempt) {
+		let opts = this.reconnectOptions;
+		let delay = Math.min(
+			opts.maxDelayMs,
+			opts.initialDelayMs * Math.pow(opts.factor, attempt - 1)
+		);
+		return Math.round(delay * (1 - opts.jitter * Math.random()));
+	}
+
+	/// Schedule the next attempt to reconnect after the connection dropped.
+	/**
+	 * Keeps trying with an increasing delay until either a connection is made or
+	 * reconnectOptions.maxAttempts is reached.
+	 *
+	 * @param Error lastError
+	 *   Reason the previous attempt failed, passed on to fnReconnect.
+	 */
+	/*private*/ try_reconnect(lastError = undefined) {
+		if (this.reconnectAttempt >= this.reconnectOptions.maxAttempts) {
+			this.log('warn', 'Giving up reconnecting', {
+				attempts: this.reconnectAttempt,
+			});
+			let attempt = this.reconnectAttempt;
+			this.reconnectAttempt = 0;
+			this.reconnect = false;
+			this.pending_reject(new ZenithError.ConnectionError('DISCONNECTED', 'Unable to reconnect'));
+			let info = {
+				attempt: attempt,
+				error: lastError,
+			};
+			this.emit('reconnectFailed', info);
+			if (this.fnReconnect) this.fnReconnect('giveup', info);
+			return;
+		}
+		let attempt = ++this.reconnectAttempt;
+		let delay = this.reconnect_getDelay(attempt);
+		this.log('info', 'Scheduling reconnection attempt', {
+			attempt: attempt,
+			delayMs: delay,
+		});
+		let info = {
+			attempt: attempt,
+			delay: delay,
+			error: lastError,
+		};
+		this.emit('reconnecting', info);
+		if (this.fnReconnect) this.fnReconnect('attempt', info);
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = undefined;
+			if (!this.reconnect) return; // disconnect() was called while waiting
+			this.reconnect_auth()
+				.then(this.connect_ws.bind(this))
+				.then(this.reconnect_replay.bind(this))
+				.then(() => {
+					this.log('info', 'Reconnected', {
+						attempt: attempt,
+					});
+					this.reconnectAttempt = 0;
+					let info = {
+						attempt: attempt,
+					};
+					this.emit('reconnected', info);
+					if (this.fnReconnect) this.fnReconnect('success', info);
+				})
+				.catch(err => {
+					if (!this.reconnect) return;
+					if (this.connected) {
+						// Socket is up but replaying failed, so drop it and start over
+						let ws = this.ws;
+						this.ws = undefined; // so its close handler ignores it
+						this.connected = false;
+						this.queue.pause();
+						if (this.pingTimer) clearTimeout(this.pingTimer);
+						this.pingTimer = undefined;
+						ws.close();
+					}
+					this.try_reconnect(err);
+				});
+		}, delay);
+	}
+
+	/// Make sure this.token is usable before reconnecting.
+	/**
+	 * An expired token is refreshed, and if that fails a complete login is done
+	 * to obtain a new one.
+	 */
+	/*private*/ reconnect_auth() {
+		if (!this.token.expired()) return Promise.resolve();
+		this.log('debug', 'Token has expired, obtaining a new one');
+		return this.token.refresh()
+			.then(token => {
+				this.token = token;
+				this.auth_setRefresh();
+				this.emit('tokenRefreshed', this.token);
+			})
+			.catch(() => this.auth());
+	}
+
+	/// Re-issue all subscriptions after reconnecting.
+	/**
+	 * @return Promise, fulfilled once every subscription has been answered.
+	 *   Subscriptions the server refuses are reported through the
+	 *   'subscriptionError' event rather than failing the reconnection.
+	 */
+	/*private*/ reconnect_replay() {
+		let subs = Object.keys(this.subscriptions).map(key => {
+			let split = key.indexOf(':');
+			return this.z_sendSub(key.substr(0, split), key.substr(split + 1))
+				.catch(err => {
+					// Only a problem if the connection dropped again
+					if (!this.connected) throw err;
+				});
+		});
+
+		if (subs.length) this.subscriptionPing();
+		return Promise.all(subs);
+	}
+
+	/// Deal with calls still waiting for a response when the connection drops.
+	/**
+	 * They are either rejected, or queued to be sent again once reconnected,
+	 * depending on reconnectOptions.retryPending.  Calls not sent yet stay
+	 * queued until reconnected, unless no reconnection will be attempted.
+	 * Subscriptions are kept, to be answered by the request re-issued by
+	 * reconnect_replay().
+	 */
+	/*private*/ pending_onDisconnect() {
+		let retry = this.reconnect && this.reconnectOptions.retryPending;
+		// Unsubscribing is pointless once disconnected
+		this.queue.clear(req => req.data.Action == 'Unsub');
+		Object.keys(this.pending).forEach(key => {
+			let req = this.pending[key];
+			if (!req) return;
+			if (this.reconnect && this.queue.has(req)) return; // still waiting its turn
+			this.queue.remove(req);
+			clearTimeout(req.failTimer);
+			if (req.data.Action == 'Sub' && this.reconnect) return;
+			if (retry) {
+				this.z_send(req, req.timeoutMessage);
+				return;
+			}
+			this.pending[key] = undefined;
+			req.reject(new ZenithError.ConnectionError('DISCONNECTED',
+				'Connection lost before a response was received', this.getErrorDetails(req)));
+		});
+	}
+
+	/// Reject every call still waiting for a response.
+	/*private*/ pending_reject(err) {
+		this.queue.clear();
+		Object.keys(this.pending).forEach(key => {
+			let req = this.pending[key];
+			if (!req) return;
+			clearTimeout(req.failTimer);
+			this.pending[key] = undefined;
+			req.reject(err);
 		});
 	}
 
 	/// Disconnect from the WebSocket.
 	disconnect() {
-		if (this.debug) console.log('[zenith] Disconnecting');
+		this.log('debug', 'Disconnecting');
 		this.reconnect = false;
+		this.reconnectAttempt = 0;
+		if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = undefined;
 		if (this.pingTimer) clearTimeout(this.pingTimer);
 		this.pingTimer = undefined;
 		if (this.tokenTimer) clearTimeout(this.tokenTimer);
 		this.tokenTimer = undefined;
 		if (this.subscriptionTimer) clearTimeout(this.subscriptionTimer);
 		this.subscriptionTimer = undefined;
-		this.ws.close();
+		this.queue.pause();
+		if (!this.connected) {
+			// No 'close' event to come, so fail anything waiting on a reconnection
+			this.pending_reject(new ZenithError.ConnectionError('DISCONNECTED', 'Disconnected'));
+		}
+		if (this.ws) this.ws.close();
 	}
 
 	/// Make a subscription array key from a request or response object.
@@ -187,7 +667,6 @@ class ZenithWS
 	ws_onMessage(data, flags) {
 		// Received websocket message
 		let jsonRes = JSON.parse(data);
-		if (this.debug) console.log('\n-- Incoming Zenith message --\n', jsonRes, '\n---- end incoming ----\n');
 
 		let key = null;
 		if (jsonRes.TransactionID) {
@@ -199,37 +678,101 @@ class ZenithWS
 		}
 
 		let d = this.pending[key];
+		let latency = d ? Date.now() - d.sentAt : undefined;
+		this.traceMessage('in', jsonRes, latency);
+		this.log('trace', 'Incoming message', {
+			transactionId: jsonRes.TransactionID,
+			controller: jsonRes.Controller,
+			topic: jsonRes.Topic,
+			action: jsonRes.Action,
+			latencyMs: latency,
+			data: jsonRes.Data,
+		});
+		if (this.normaliser) this.normaliser.message(jsonRes);
+		this.emit('message', jsonRes);
+
 		if (d) {
+			this.log('debug', 'Response received', {
+				transactionId: d.data.TransactionID,
+				controller: d.data.Controller,
+				topic: d.data.Topic,
+				latencyMs: latency,
+			});
 			// This is a match
 			clearTimeout(d.failTimer);
 			this.pending[key] = undefined;
-			if ((jsonRes.Action == 'Error') || (jsonRes.Result == 'Error')) {
-				d.reject(jsonRes.Data);
+			let err = this.getResponseError(d, jsonRes);
+			if (err !== undefined) {
+				d.reject(err);
 				return;
-			} else {
-				d.fulfill(jsonRes.Data);
 			}
+			d.fulfill(jsonRes.Data);
 		}
 		if (this.subscriptions[key]) {
-			// Call each registered callback for this subscription
-			this.subscriptions[key].forEach(cb => {
+			// Call each registered callback for this subscription.  Use a copy of
+			// the list in case a callback unsubscribes.
+			this.subscriptions[key].slice().forEach(cb => {
 				cb(jsonRes.Data);
 			});
 		}
 	}
 
-	/// Start over the 30 second timeout before sending a ping.
+	/// Work out whether a response means the request failed.
+	/**
+	 * Besides error responses, trading requests such as PlaceOrder that the
+	 * server answers with a Result of 'Invalid', 'Rejected' or 'Error' are
+	 * treated as failures, unless this.rawResults is set.
+	 *
+	 * @return The reason to reject the request with, or undefined if it
+	 *   succeeded.
+	 */
+	/*private*/ getResponseError(req, res) {
+		let details = this.getErrorDetails(req);
+		if ((res.Action == 'Error') || (res.Result == 'Error')) {
+			if (this.rawResults) return res.Data;
+			let message = (typeof res.Data == 'string') ? res.Data : 'Request failed';
+			details.errors = (res.Data && res.Data.Errors) || [message];
+			return new ZenithError.ProtocolError('ERROR', message, details);
+		}
+		if (this.rawResults || (req.data.Controller != 'Trading') || !res.Data) {
+			return undefined;
+		}
+		let errors = res.Data.Errors || [];
+		details.errors = errors;
+		let describe = what => req.data.Topic + ' ' + what
+			+ (errors.length ? ': ' + errors.join('; ') : '');
+		switch (res.Data.Result) {
+			case 'Invalid':
+				return new ZenithError.ValidationError('INVALID', describe('invalid'), details);
+			case 'Rejected':
+				return new ZenithError.OrderRejectedError('REJECTED', describe('rejected'), details);
+			case 'Error':
+				return new ZenithError.ProtocolError('ERROR', describe('failed'), details);
+			default:
+				return undefined;
+		}
+	}
+
+	/// Details of a request, to include in any error it fails with.
+	/*private*/ getErrorDetails(req) {
+		return {
+			transactionId: req.data.TransactionID,
+			request: req.data,
+		};
+	}
+
+	/// Start over the timeout before sending a ping.
 	/**
 	 * This function is called when we send or receive a message so that we don't
 	 * bother sending a ping unless the connection has actually been idle for
-	 * 30 seconds.
+	 * this.timeouts.ping ms.
 	 */
 	/*private*/ resetPingTimeout() {
 		if (this.pingTimer) clearTimeout(this.pingTimer);
 		if (!this.connected) return;
 		this.pingTimer = setTimeout(() => {
 			this.ws.ping();
-		}, PING_TIMEOUT_MS);
+		}, this.timeouts.ping);
 	}
 
 	/// Check to see if there are any active subscriptions.
@@ -238,27 +781,34 @@ class ZenithWS
 	 * subscriptions then don't set the timer so the script will exit.
 	 */
 	/*private*/ subscriptionPing() {
+		if (this.subscriptionTimer) clearTimeout(this.subscriptionTimer);
 		this.subscriptionTimer = setTimeout(() => {
+			this.subscriptionTimer = undefined;
 			if (
 				// Any active subscriptions?
-				(this.subscriptions.length > 0)
+				(Object.keys(this.subscriptions).length > 0)
 				// Still connected to the server?
 				&& this.pingTimer
 			) {
 				this.subscriptionPing();
 			}
-		}, SUB_PING_TIMEOUT_MS);
+		}, this.timeouts.subscriptionPing);
 	}
 
 	/// Send a non-subscription message.
 	/**
-	 * @pre Must be connected.
+	 * @pre Must be connected, or reconnecting in which case the message is
+	 *   sent once reconnected (see z_send().)
 	 *
 	 * @return Promise, then() param is message response from server.
-	 *   On error, Promise is rejected with either WS error or ZenithError.
+	 *   On error, Promise is rejected with either WS error or one of the
+	 *   ZenithError subclasses, see getResponseError().
 	 */
 	z_call(controller, topic, params) {
-		if (this.debug) console.log('[zenith] API call: ' + controller + ':' + topic);
+		this.log('debug', 'API call', {
+			controller: controller,
+			topic: topic,
+		});
 		return new Promise((fulfill, reject) => {
 			let req = {
 				data: {
@@ -272,25 +822,7 @@ class ZenithWS
 				reject: reject,
 			};
 			this.pending[req.data.TransactionID] = req;
-			if (this.debug) console.log('\n-- Outgoing request --\n', req.data, '\n---- end outgoing ----\n');
-			//console.log('[' + req.TransactionID + '] ' + req.Controller + ':' + req.Topic);
-
-			try {
-				this.resetPingTimeout();
-				this.ws.send(JSON.stringify(req.data), err => {
-					if (err) reject(err);
-					// Now waiting for response which will be sent to on_ws_message()
-				});
-				// Add a timer so the call fails if we don't get a response in time
-				req.failTimer = setTimeout(() => {
-					// Remove request from pending list
-					this.pending[req.TransactionID] = undefined;
-
-					req.reject(new ZenithError('TIMEOUT', 'No response to call'));
-				}, CALL_TIMEOUT_MS);
-			} catch (e) {
-				reject(e);
-			}
+			this.z_send(req, 'No response to call');
 		});
 	}
 
@@ -299,20 +831,193 @@ class ZenithWS
 	 * After this, unsolicited topic updates will be received for the given
 	 * topic.  Each unsolicited message will be passed to the supplied callback.
 	 *
-	 * @pre Must be connected.
+	 * If the connection drops, the subscription is re-issued automatically once
+	 * reconnected, and the callback will receive whatever the server sends in
+	 * response to the new subscription request.
 	 *
-	 * @return Promise, param is message response from server.
+	 * Subscriptions are reference counted per topic, so the same topic can be
+	 * subscribed to multiple times with different callbacks, and the server is
+	 * only told to stop sending updates once the last one is unsubscribed.
 	 *
-	 * @todo What happens if the connection drops out?  Do we need to resubscribe
-	 *  or can we use the session re-establishment API call?
+	 * @pre Must be connected, or reconnecting.
+	 *
+	 * @return Promise, param is message response from server.  The promise
+	 *   also has an unsubscribe() function which removes this callback again.
+	 *   Calling it more than once has no further effect.
 	 */
 	z_subscribe(controller, topic, cb) {
-		if (this.debug) console.log('[zenith] API subscription: ' + controller + ':' + topic);
-		return new Promise((fulfill, reject) => {
-			if (!cb) {
-				reject(new TypeError('Missing callback function.'));
-				return;
+		this.log('debug', 'API subscription', {
+			controller: controller,
+			topic: topic,
+		});
+		if (!cb) {
+			let p = Promise.reject(new TypeError('Missing callback function.'));
+			p.unsubscribe = () => {};
+			return p;
+		}
+
+		let key = this.makeKey({
+			Controller: controller,
+			Topic: topic,
+		});
+		if (!this.subscriptions[key]) this.subscriptions[key] = [];
+		this.subscriptions[key].push(cb);
+
+		// Set up the subscription timer.
+		this.subscriptionPing();
+
+		let p = this.z_sendSub(controller, topic);
+		let active = true;
+		p.unsubscribe = () => {
+			if (!active) return;
+			active = false;
+			this.z_unsubscribe(controller, topic, cb);
+		};
+		return p;
+	}
+
+	/// Remove a callback previously passed to z_subscribe().
+	/**
+	 * If this was the last callback for the topic, the server is told to stop
+	 * sending updates.  Unknown callbacks are ignored.
+	 *
+	 * @param function cb
+	 *   Callback to remove.  Wrappers registered by the sub_* functions are
+	 *   found by the original callback passed to them.
+	 */
+	z_unsubscribe(controller, topic, cb) {
+		let key = this.makeKey({
+			Controller: controller,
+			Topic: topic,
+		});
+		let callbacks = this.subscriptions[key];
+		if (!callbacks) return;
+		let index = callbacks.findIndex(f => {
+			// Follow the chain of wrappers back to the original callback
+			for (; f; f = f.listener) if (f === cb) return true;
+			return false;
+		});
+		if (index < 0) return;
+		callbacks.splice(index, 1);
+		if (callbacks.length > 0) return; // still in use by someone else
+
+		this.log('debug', 'API unsubscribe', {
+			controller: controller,
+			topic: topic,
+		});
+		delete this.subscriptions[key];
+		if (Object.keys(this.subscriptions).length == 0) {
+			// Nothing left to wait for, allow the script to exit
+			if (this.subscriptionTimer) clearTimeout(this.subscriptionTimer);
+			this.subscriptionTimer = undefined;
+		}
+
+		// If we're not connected then there's nothing to unsubscribe from, and the
+		// topic won't be re-issued when we reconnect.
+		if (!this.connected) return;
+		let req = {
+			data: {
+				Controller: controller,
+				Topic: topic,
+				Action: 'Unsub',
+				TransactionID: ++this.lastTransactionID,
+			},
+			fail: err => {
+				this.log('debug', 'Unable to unsubscribe', {
+					controller: controller,
+					topic: topic,
+					error: err,
+				});
+			},
+		};
+		this.queue.push(req, this.getPriority(req.data));
+	}
+
+	/// Subscribe, with updates read through an async iterator instead of a
+	/// callback.
+	/**
+	 * e.g. for await (let d of zenith.updates('market_security', ['ASX', 'BHP']))
+	 *
+	 * The *Updates() functions, e.g. securityUpdates('ASX', 'BHP'), are
+	 * shortcuts for this.
+	 *
+	 * @param string name
+	 *   Subscription, i.e. the name of a sub_* function without the 'sub_'.
+	 *
+	 * @param Array args
+	 *   Parameters for the sub_* function, leaving out the callback.
+	 *
+	 * @param object options
+	 *   UpdateQueue options bufferSize and policy.  With the 'block' policy,
+	 *   reading from the connection is paused while the buffer is full, which
+	 *   holds up every subscription and call until the updates are read.
+	 *
+	 * @return UpdateQueue, which unsubscribes when the loop is left or it is
+	 *   closed.  Its ready member is the Promise returned by the sub_* function.
+	 */
+	updates(name, args = [], options = {}) {
+		let subscribe = this['sub_' + name];
+		if (typeof subscribe != 'function') {
+			throw new TypeError('Unknown subscription: ' + name);
+		}
+		let sub;
+		let queue = new UpdateQueue(Object.assign({}, options, {
+			onClose: () => sub.unsubscribe(),
+			onBlock: blocked => blocked ? this.z_pauseReading() : this.z_resumeReading(),
+		}));
+		sub = subscribe.apply(this, args.concat([d => queue.push(d)]));
+		sub.catch(err => queue.fail(err));
+		queue.ready = sub;
+		return queue;
+	}
+
+	/// Subscribe, with updates read from an object mode Readable stream.
+	/**
+	 * Takes the same parameters as updates().  Destroying the stream
+	 * unsubscribes.
+	 */
+	updateStream(name, args = [], options = {}) {
+		return this.updates(name, args, options).stream();
+	}
+
+	/// Stop reading incoming messages until z_resumeReading() is called.
+	/**
+	 * Calls are counted, so reading only resumes once every caller has
+	 * resumed it.  Used by UpdateQueue's 'block' policy.  Has no effect on
+	 * WebSockets that can't be paused, e.g. in browsers.
+	 */
+	/*private*/ z_pauseReading() {
+		if (++this.readPauses == 1) this.ws_setPaused(true);
+	}
+
+	/// Undo z_pauseReading().
+	/*private*/ z_resumeReading() {
+		if (this.readPauses == 0) return;
+		if (--this.readPauses == 0) this.ws_setPaused(false);
+	}
+
+	/*private*/ ws_setPaused(paused) {
+		let ws = this.ws;
+		if (!ws || !this.connected || !ws.pause) return;
+		try {
+			if (paused) {
+				ws.pause();
+			} else {
+				ws.resume();
 			}
+		} catch (e) {
+			this.log('debug', 'Unable to pause reading', {
+				error: e,
+			});
+		}
+	}
+
+	/// Send a subscription request, without registering any callbacks.
+	/**
+	 * @return Promise, param is message response from server.
+	 */
+	/*private*/ z_sendSub(controller, topic) {
+		return new Promise((fulfill, reject) => {
 			let req = {
 				data: {
 					Controller: controller,
@@ -322,41 +1027,133 @@ class ZenithWS
 					TransactionID: ++this.lastTransactionID,
 				},
 				fulfill: fulfill,
-				reject: reject,
+				reject: err => {
+					this.emit('subscriptionError', {
+						controller: controller,
+						topic: topic,
+						error: err,
+					});
+					reject(err);
+				},
 			};
 
 			let key = this.makeKey(req.data);
-			if (!this.subscriptions[key]) this.subscriptions[key] = [];
-			this.subscriptions[key].push(cb);
+			let prev = this.pending[key];
+			if (prev) {
+				// Already waiting on a response for this topic, which will be the
+				// same as the response to this request, so share it.
+				clearTimeout(prev.failTimer);
+				this.queue.remove(prev); // no need to send it as well
+				req.fulfill = d => {
+					prev.fulfill(d);
+					fulfill(d);
+				};
+				req.reject = e => {
+					prev.reject(e);
+					reject(e);
+				};
+			}
+			this.pending[key] = req;
+			this.z_send(req, 'No response to subscription request');
+		});
+	}
 
-			// Set up the subscription timer.
-			this.subscriptionPing();
+	/// Log and trace a message about to be sent to the server.
+	/*private*/ log_outgoing(data) {
+		this.traceMessage('out', data);
+		this.log('trace', 'Outgoing request', {
+			transactionId: data.TransactionID,
+			controller: data.Controller,
+			topic: data.Topic,
+			action: data.Action,
+			data: data.Data,
+		});
+	}
 
-			this.pending[key] = req;
-			if (this.debug) console.log('\n-- Outgoing request --\n', req.data, '\n---- end outgoing ----\n');
+	/// Queue a request already in this.pending and wait for the response.
+	/**
+	 * The request is sent once its turn comes, see this.queue.  While
+	 * disconnected or reconnecting, requests are held until the connection is
+	 * back, but fail if they are still waiting after this.timeouts.queue ms.
+	 *
+	 * The response will be passed to req.fulfill() by ws_onMessage(), or
+	 * req.reject() will be called if it could not be sent or no response
+	 * arrived in time.
+	 */
+	/*private*/ z_send(req, timeoutMessage) {
+		let key;
+		if (req.data.Action == 'Sub') {
+			key = this.makeKey(req.data);
+		} else {
+			key = req.data.TransactionID;
+		}
+		req.timeoutMessage = timeoutMessage;
+		req.fail = err => {
+			clearTimeout(req.failTimer);
+			this.queue.remove(req);
+			// Remove request from pending list
+			if (this.pending[key] === req) this.pending[key] = undefined;
+			req.reject(err);
+		};
 
-			try {
-				this.resetPingTimeout();
-				//console.log('[Sub] ' + req.Controller + ':' + req.Topic);
-				this.ws.send(JSON.stringify(req.data), err => {
-					if (err) reject(err);
-					// Now waiting for response which will be sent to on_ws_message()
-					// Subscribed
-					// TODO: Wait for subscription confirmation?
-					//fulfill();
-				});
+		if (!this.connected && !this.reconnect) {
+			req.fail(new ZenithError.ConnectionError('DISCONNECTED', 'Not connected',
+				this.getErrorDetails(req)));
+			return;
+		}
+		clearTimeout(req.failTimer);
+		req.failTimer = setTimeout(() => {
+			req.fail(new ZenithError.TimeoutError('TIMEOUT', 'Request not sent in time',
+				this.getErrorDetails(req)));
+		}, this.timeouts.queue);
+		this.queue.push(req, this.getPriority(req.data));
+	}
 
-				// Add a timer so the call fails if we don't get a response in time
-				req.failTimer = setTimeout(() => {
-					// Remove request from pending list
-					this.pending[key] = undefined;
+	/// Work out which of SendQueue.PRIORITIES a request is sent with.
+	/**
+	 * Token refreshes and order changes go first, and market data last, so a
+	 * burst of market data queries can't hold up an order.
+	 */
+	/*private*/ getPriority(data) {
+		switch (data.Controller) {
+			case 'Auth':
+				return 'high';
+			case 'Trading':
+				if (data.Action || /^Query/.test(data.Topic)) return 'normal';
+				return 'high'; // PlaceOrder, AmendOrder, CancelOrder, etc.
+			case 'Market':
+				return 'low';
+			default:
+				return 'normal';
+		}
+	}
 
-					req.reject(new ZenithError('TIMEOUT', 'No response to subscription request'));
-				}, CALL_TIMEOUT_MS);
-			} catch (e) {
-				reject(e);
-			}
-		});
+	/// Send a request taken from this.queue.
+	/*private*/ z_transmit(req) {
+		this.log_outgoing(req.data);
+		req.sentAt = Date.now();
+		clearTimeout(req.failTimer);
+		if (req.data.Action != 'Unsub') {
+			// Add a timer so the call fails if we don't get a response in time
+			req.failTimer = setTimeout(() => {
+				req.fail(new ZenithError.TimeoutError('TIMEOUT', req.timeoutMessage,
+					this.getErrorDetails(req)));
+			}, this.timeouts.call);
+		}
+		if (this.simulator && this.simulator.handles(req.data)) {
+			// Response will come back through ws_onMessage() as usual
+			this.simulator.receive(JSON.parse(JSON.stringify(req.data)));
+			return;
+		}
+		try {
+			this.resetPingTimeout();
+			this.ws.send(JSON.stringify(req.data), err => {
+				if (err) req.fail(err);
+				// Now waiting for response which will be sent to ws_onMessage()
+			});
+		} catch (e) {
+			req.fail(e);
+		}
 	}
 
 	/// Zenith API: Authenticate with new/refreshed token.
@@ -371,7 +1168,7 @@ class ZenithWS
 		}).then(d => {
 			if (d.Result != 'Success') {
 				// TODO: Attempt complete re-login
-				throw ZenithError('ACCESS_REVOKED', 'Token reauthentication failed.');
+				throw new ZenithError.AuthError('ACCESS_REVOKED', 'Token reauthentication failed.');
 			}
 		});
 	}
@@ -391,26 +1188,143 @@ class ZenithWS
 		return this.z_subscribe('Market', 'Markets', cb);
 	}
 
+	/// Zenith API: Unsubscribe from market state changes (sub_market_markets).
+	unsub_market_markets(cb) {
+		return this.z_unsubscribe('Market', 'Markets', cb);
+	}
+
 	/// Zenith API: Subscribe to market state changes.
 	sub_market_security(market, symbol, cb) {
 		return this.z_subscribe('Market', 'Security!' + symbol + '.' + market, cb);
 	}
 
+	/// Zenith API: Unsubscribe from market state changes (sub_market_security).
+	unsub_market_security(market, symbol, cb) {
+		return this.z_unsubscribe('Market', 'Security!' + symbol + '.' + market, cb);
+	}
+
 	/// Zenith API: Subscribe to live trades notifications.
+	/**
+	 * Trade times are converted to Dates, or null for trades that come in as
+	 * "0001-01-01T00:00:00+00:00", unless the normalise option is turned off.
+	 */
 	sub_market_trades(market, symbol, cb) {
-		return this.z_subscribe('Market', 'Trades!' + symbol + '.' + market, d => {
-				// Convert any string dates into JS Date objects
-				if (d instanceof Array) {
-					d.forEach(trade => {
-						if (trade.Trade && trade.Trade.Time) {
-							// Some trades actually come in as "0001-01-01T00:00:00+00:00",
-							// these convert OK but seem weird all the same.
-							trade.Trade.Time = new Date(trade.Trade.Time);
-						}
-					});
-				}
-				cb(d);
-			});
+		return this.z_subscribe('Market', 'Trades!' + symbol + '.' + market, cb);
+	}
+
+	/// Zenith API: Unsubscribe from live trades notifications (sub_market_trades).
+	unsub_market_trades(market, symbol, cb) {
+		return this.z_unsubscribe('Market', 'Trades!' + symbol + '.' + market, cb);
+	}
+
+	/// Zenith API: Subscribe to live trades, kept in a local TradeTape.
+	/**
+	 * @param function cb
+	 *   Optional callback, called as cb(tape) after each update has been applied.
+	 *   The TradeTape's events can be used instead.
+	 *
+	 * @param Number maxTrades
+	 *   Maximum number of trades for the TradeTape to keep.
+	 *
+	 * @return Promise, fulfilled with the TradeTape once the initial trades
+	 *   have been received.  Has an unsubscribe() function like z_subscribe().
+	 */
+	sub_market_tape(market, symbol, cb = undefined, maxTrades = undefined) {
+		let tape = new TradeTape(market, symbol, maxTrades);
+		let wrapper = d => {
+			tape.apply(d);
+			if (cb) cb(tape);
+		};
+		wrapper.listener = cb || tape; // so unsub_market_tape() can find it
+		let sub = this.sub_market_trades(market, symbol, wrapper);
+		let p = sub.then(() => tape);
+		p.unsubscribe = sub.unsubscribe;
+		return p;
+	}
+
+	/// Zenith API: Unsubscribe from live trades (sub_market_tape).
+	/**
+	 * @param mixed cb
+	 *   Callback passed to sub_market_tape(), or the TradeTape it returned if
+	 *   no callback was given.
+	 */
+	unsub_market_tape(market, symbol, cb) {
+		return this.unsub_market_trades(market, symbol, cb);
+	}
+
+	/// Zenith API: Subscribe to live trades, grouped into OHLCV bars.
+	/**
+	 * @param mixed interval
+	 *   Length of each bar, e.g. '1m' or 'daily'.  See BarAggregator.
+	 *
+	 * @param function cb
+	 *   Optional callback, called as cb(bar) as each bar closes.  The
+	 *   BarAggregator's events can be used instead.
+	 *
+	 * @param object options
+	 *   BarAggregator options, e.g. { closeDelay: 1000 }.
+	 *
+	 * @return Promise, fulfilled with the BarAggregator once the initial trades
+	 *   have been received.  Has an unsubscribe() function like z_subscribe().
+	 */
+	sub_market_bars(market, symbol, interval, cb = undefined, options = {}) {
+		let bars = new BarAggregator(market, symbol, interval, options);
+		if (cb) bars.on('barClosed', cb);
+		let wrapper = d => bars.apply(d);
+		wrapper.listener = cb || bars; // so unsub_market_bars() can find it
+		let sub = this.sub_market_trades(market, symbol, wrapper);
+		let p = sub.then(() => bars);
+		p.unsubscribe = () => {
+			bars.stop();
+			sub.unsubscribe();
+		};
+		return p;
+	}
+
+	/// Zenith API: Unsubscribe from bars (sub_market_bars).
+	/**
+	 * When unsubscribing with a callback and the closeDelay option was used,
+	 * also call the BarAggregator's stop() to cancel its timer.
+	 *
+	 * @param mixed cb
+	 *   Callback passed to sub_market_bars(), or the BarAggregator it returned
+	 *   if no callback was given.
+	 */
+	unsub_market_bars(market, symbol, cb) {
+		if (cb instanceof BarAggregator) cb.stop();
+		return this.unsub_market_trades(market, symbol, cb);
+	}
+
+	/// Zenith API: Subscribe to market depth, kept in a local OrderBook.
+	/**
+	 * @param function cb
+	 *   Optional callback, called as cb(book) after each update has been applied.
+	 *   The OrderBook's 'change' event can be used instead.
+	 *
+	 * @return Promise, fulfilled with the OrderBook once the initial depth has
+	 *   been received.  Has an unsubscribe() function like z_subscribe().
+	 */
+	sub_market_depth(market, symbol, cb = undefined) {
+		let book = new OrderBook(market, symbol);
+		let wrapper = d => {
+			book.apply(d);
+			if (cb) cb(book);
+		};
+		wrapper.listener = cb || book; // so unsub_market_depth() can find it
+		let sub = this.z_subscribe('Market', 'Depth!' + symbol + '.' + market, wrapper);
+		let p = sub.then(() => book);
+		p.unsubscribe = sub.unsubscribe;
+		return p;
+	}
+
+	/// Zenith API: Unsubscribe from market depth (sub_market_depth).
+	/**
+	 * @param mixed cb
+	 *   Callback passed to sub_market_depth(), or the OrderBook it returned if
+	 *   no callback was given.
+	 */
+	unsub_market_depth(market, symbol, cb) {
+		return this.z_unsubscribe('Market', 'Depth!' + symbol + '.' + market, cb);
 	}
 
 	/// Zenith API: Retrieve the current state of a security.
@@ -441,6 +1355,60 @@ class ZenithWS
 		return this.z_call('Trading', 'CancelOrder', options);
 	}
 
+	/// Zenith API: Change the details of an order, e.g. its price or quantity.
+	/**
+	 * @param string account
+	 *   Account the order was placed through.
+	 *
+	 * @param string order
+	 *   Order ID.
+	 *
+	 * @param object details
+	 *   Complete new order details, in the same format as the Details member
+	 *   passed to trading_placeOrder().
+	 *
+	 * @param object options
+	 *   Any other members to send, e.g. a new Route.
+	 *
+	 * @return Promise, fulfilled with the server's response if the order was
+	 *   amended.  Otherwise rejected with a ValidationError, OrderRejectedError
+	 *   or ProtocolError listing the reasons in its errors member (or, if
+	 *   this.rawResults is set, fulfilled with a Result of 'Invalid',
+	 *   'Rejected' or 'Error'.)  Rejected with a RiskError, without anything
+	 *   being sent, if this.risk doesn't allow the new details.
+	 */
+	trading_amendOrder(account, order, details, options = {}) {
+		options.Account = account;
+		options.Order = order;
+		options.Details = details;
+		if (this.risk) {
+			return this.risk.checkAmend(account, order, details)
+				.then(() => this.z_call('Trading', 'AmendOrder', options));
+		}
+		return this.z_call('Trading', 'AmendOrder', options);
+	}
+
+	/// Zenith API: Move an order to a different trading account.
+	/**
+	 * @param string account
+	 *   Account the order is currently in.
+	 *
+	 * @param string order
+	 *   Order ID.
+	 *
+	 * @param string destination
+	 *   Account to move the order to.
+	 *
+	 * @return Promise, fulfilled with the server's response, in the same
+	 *   format as for trading_amendOrder().
+	 */
+	trading_moveOrder(account, order, destination, options = {}) {
+		options.Account = account;
+		options.Order = order;
+		options.Destination = destination;
+		return this.z_call('Trading', 'MoveOrder', options);
+	}
+
 	/// Zenith API: List available trading accounts.
 	trading_queryAccounts() {
 		return this.z_call('Trading', 'QueryAccounts');
@@ -460,6 +1428,45 @@ class ZenithWS
 		});
 	}
 
+	/// Zenith API: Subscribe to balance changes (trading_queryBalances).
+	sub_trading_balances(account, cb) {
+		return this.z_subscribe('Trading', 'Balances!' + account, cb);
+	}
+
+	/// Zenith API: Unsubscribe from balance changes (sub_trading_balances).
+	unsub_trading_balances(account, cb) {
+		return this.z_unsubscribe('Trading', 'Balances!' + account, cb);
+	}
+
+	/// Zenith API: Subscribe to holdings changes (trading_queryHoldings).
+	sub_trading_holdings(account, cb) {
+		return this.z_subscribe('Trading', 'Holdings!' + account, cb);
+	}
+
+	/// Zenith API: Unsubscribe from holdings changes (sub_trading_holdings).
+	unsub_trading_holdings(account, cb) {
+		return this.z_unsubscribe('Trading', 'Holdings!' + account, cb);
+	}
+
+	/// Subscribe to an account's holdings, balances and prices, kept in a
+	/// local Portfolio.
+	/**
+	 * @param function cb
+	 *   Optional callback, called as cb(portfolio) whenever anything changes.
+	 *   The Portfolio's events can be used instead.
+	 *
+	 * @return Promise, fulfilled with the Portfolio once the initial holdings,
+	 *   balances and prices have been received.  Has an unsubscribe() function
+	 *   like z_subscribe(), which removes all the Portfolio's subscriptions.
+	 */
+	sub_trading_portfolio(account, cb = undefined) {
+		let portfolio = new Portfolio(this, account);
+		if (cb) portfolio.on('change', cb);
+		let p = portfolio.start();
+		p.unsubscribe = () => portfolio.stop();
+		return p;
+	}
+
 	/// Zenith API: List unfulfilled and recent orders.
 	trading_queryOrders(account, order = undefined) {
 		return this.z_call('Trading', 'QueryOrders', {
@@ -469,19 +1476,204 @@ class ZenithWS
 	}
 
 	/// Zenith API: Place an order.
-	trading_placeOrder(options) {
-		return this.z_call('Trading', 'PlaceOrder', options);
+	/**
+	 * @param mixed options
+	 *   Order to place, including Account, Details and Route.  May also be an
+	 *   OrderBuilder, in which case the order is checked first and the promise
+	 *   is rejected with its ValidationError if there is a problem, without
+	 *   anything being sent.
+	 *
+	 * @param bool waitForCompletion
+	 *   false (default) to fulfil the promise with the server's response as soon
+	 *   as the order has been placed.  true to follow the order and fulfil the
+	 *   promise with the order itself once it has been filled, cancelled,
+	 *   rejected or has expired.  If the order could not be placed, the
+	 *   promise is rejected (or fulfilled with the server's response if
+	 *   this.rawResults is set) as usual.  If it was placed but can't be
+	 *   followed to the end, the promise is rejected with a ZenithError with
+	 *   code REMOVED if the server stops listing it, a TimeoutError after
+	 *   this.timeouts.completion ms (if set), or a ConnectionError if the
+	 *   connection is closed for good.
+	 *
+	 * If this.risk is set, the order is checked against its limits first, and
+	 * the promise is rejected with a RiskError, without anything being sent,
+	 * if it breaks any.
+	 */
+	trading_placeOrder(options, waitForCompletion = false) {
+		if (options instanceof OrderBuilder) {
+			try {
+				options = options.build();
+			} catch (e) {
+				return Promise.reject(e);
+			}
+		}
+		if (this.risk) {
+			let risk = this.risk;
+			let order = options;
+			let accepted = false;
+			return risk.check(order)
+				.then(() => this.z_placeOrder(order, waitForCompletion, response => {
+					// On the server now, while we wait for it to finish
+					if (response && (response.Result == 'Success')) {
+						accepted = true;
+						risk.placed(order);
+					}
+				}))
+				.then(result => {
+					if (!waitForCompletion) {
+						// Not a success only with rawResults, otherwise failures are rejected
+						if (result && (result.Result == 'Success')) {
+							risk.placed(order);
+						} else {
+							risk.release(order);
+						}
+					} else if (!accepted) {
+						risk.release(order);
+					} else if ((result.Result === undefined)
+						&& (OrderTracker.getState(result) != 'filled')) {
+						risk.release(order, Number(result.ExecutedQuantity) || 0);
+					}
+					return result;
+				}, err => {
+					// Once accepted, it counts until it is known how it finished
+					if (!(err instanceof ZenithError.RiskError) && !accepted) risk.release(order);
+					throw err;
+				});
+		}
+		return this.z_placeOrder(options, waitForCompletion);
+	}
+
+	/// Send a PlaceOrder request, see trading_placeOrder().
+	/**
+	 * @param function onPlaced
+	 *   Optional, called with the server's response when waiting for
+	 *   completion, before the wait starts.
+	 */
+	/*private*/ z_placeOrder(options, waitForCompletion, onPlaced = undefined) {
+		if (!waitForCompletion) {
+			return this.z_call('Trading', 'PlaceOrder', options);
+		}
+
+		// Subscribe first so no updates are missed between the order being
+		// placed and us hearing about it.
+		let sub = this.sub_trading_orders(options.Account);
+		let tracker;
+		let wait;
+		// No more updates are coming once the connection is gone for good
+		let onClose = info => {
+			if (info.intentional && wait) {
+				wait.cancel(new ZenithError.ConnectionError('DISCONNECTED', 'Disconnected'));
+			}
+		};
+		let onReconnectFailed = () => {
+			if (wait) wait.cancel(new ZenithError.ConnectionError('DISCONNECTED', 'Unable to reconnect'));
+		};
+		let finish = () => {
+			this.removeListener('close', onClose);
+			this.removeListener('reconnectFailed', onReconnectFailed);
+			sub.unsubscribe();
+		};
+		return sub
+			.then(t => {
+				tracker = t;
+				return this.z_call('Trading', 'PlaceOrder', options);
+			})
+			.then(result => {
+				if (onPlaced) onPlaced(result);
+				if (!result || (result.Result != 'Success') || !result.Order) return result;
+				wait = tracker.waitForTerminal(result.Order.ID, this.timeouts.completion);
+				this.on('close', onClose);
+				this.on('reconnectFailed', onReconnectFailed);
+				return wait;
+			})
+			.then(result => {
+				finish();
+				return result;
+			}, err => {
+				finish();
+				throw err;
+			});
+	}
+
+	/// Zenith API: Subscribe to order changes, kept in a local OrderTracker.
+	/**
+	 * @param function cb
+	 *   Optional callback, called as cb(tracker) after each update has been
+	 *   applied.  The OrderTracker's events can be used instead.
+	 *
+	 * @return Promise, fulfilled with the OrderTracker once the current orders
+	 *   have been received.  Has an unsubscribe() function like z_subscribe().
+	 */
+	sub_trading_orders(account, cb = undefined) {
+		let tracker = new OrderTracker(account);
+		let wrapper = d => {
+			tracker.apply(d);
+			if (cb) cb(tracker);
+		};
+		wrapper.listener = cb || tracker; // so unsub_trading_orders() can find it
+		let sub = this.z_subscribe('Trading', 'Orders!' + account, wrapper);
+		let p = sub.then(() => tracker);
+		p.unsubscribe = sub.unsubscribe;
+		return p;
+	}
+
+	/// Zenith API: Unsubscribe from order changes (sub_trading_orders).
+	/**
+	 * @param mixed cb
+	 *   Callback passed to sub_trading_orders(), or the OrderTracker it returned
+	 *   if no callback was given.
+	 */
+	unsub_trading_orders(account, cb) {
+		return this.z_unsubscribe('Trading', 'Orders!' + account, cb);
 	}
 
 	/// Zenith API: Get server info.
 	zenith_serverInfo() {
 		return new Promise((fulfill, reject) => {
-			this.z_subscribe('Zenith', 'ServerInfo', undefined, d => {
+			let sub = this.z_subscribe('Zenith', 'ServerInfo', d => {
+				sub.unsubscribe();
 				fulfill(d);
-				// TODO: Unsubscribe!
-			}).catch(err => reject(err));
+			});
+			sub.catch(err => {
+				sub.unsubscribe();
+				reject(err);
+			});
 		});
 	}
 };
 
+/// Shortcuts for updates(), e.g. securityUpdates(market, symbol, options).
+/**
+ * Name -> [ sub_* function, number of parameters before the callback ].  Each
+ * gets a *Updates() function returning an UpdateQueue, and a *Stream()
+ * function returning a Readable stream, taking the same parameters as the
+ * sub_* function apart from the callback, then the buffering options.
+ */
+const UPDATES = {
+	markets: ['market_markets', 0],
+	security: ['market_security', 2],
+	trades: ['market_trades', 2],
+	tape: ['market_tape', 2],
+	bars: ['market_bars', 3],
+	depth: ['market_depth', 2],
+	balances: ['trading_balances', 1],
+	holdings: ['trading_holdings', 1],
+	portfolio: ['trading_portfolio', 1],
+	orders: ['trading_orders', 1],
+};
+
+Object.keys(UPDATES).forEach(name => {
+	let sub = UPDATES[name][0];
+	let count = UPDATES[name][1];
+	ZenithWS.prototype[name + 'Updates'] = function(...args) {
+		return this.updates(sub, args.slice(0, count), args[count]);
+	};
+	ZenithWS.prototype[name + 'Stream'] = function(...args) {
+		return this.updateStream(sub, args.slice(0, count), args[count]);
+	};
+});
+
+ZenithWS.ENVIRONMENTS = ENVIRONMENTS;
+ZenithWS.TIMEOUTS = TIMEOUTS;
+
 module.exports = ZenithWS;